@@ -0,0 +1,42 @@
+-- Customers and survey responses are written by the survey form; the service
+-- only adds the columns it owns. Existing tables are left as they are.
+
+CREATE TABLE IF NOT EXISTS customers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255),
+  email VARCHAR(255),
+  phone_number VARCHAR(50)
+);
+
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS phone_number_validated BOOLEAN,
+  ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64);
+
+CREATE TABLE IF NOT EXISTS survey_responses (
+  id SERIAL PRIMARY KEY,
+  customer_id INTEGER,
+  business_type VARCHAR(255),
+  employee_count VARCHAR(50),
+  revenue VARCHAR(50),
+  operational_frustration TEXT,
+  time_consuming_tasks TEXT,
+  inefficiencies TEXT,
+  automation_area TEXT,
+  one_task_to_automate TEXT,
+  hours_to_save VARCHAR(50),
+  growth_obstacle TEXT,
+  important_outcome VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS processed BOOLEAN,
+  ADD COLUMN IF NOT EXISTS sent_to_odoo BOOLEAN,
+  ADD COLUMN IF NOT EXISTS call_status VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS disconnection_reason VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS call_summary TEXT,
+  ADD COLUMN IF NOT EXISTS call_transcript TEXT,
+  ADD COLUMN IF NOT EXISTS attempt_count INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS unreachable BOOLEAN,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
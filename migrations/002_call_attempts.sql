@@ -0,0 +1,29 @@
+CREATE TABLE IF NOT EXISTS call_attempts (
+  id SERIAL PRIMARY KEY,
+  survey_id INTEGER NOT NULL REFERENCES survey_responses(id),
+  call_id VARCHAR(100) UNIQUE,
+  pod_name VARCHAR(255),
+  agent_variant VARCHAR(50),
+  agent_id VARCHAR(100),
+  from_number VARCHAR(20),
+  duration_ms INTEGER,
+  status VARCHAR(20) NOT NULL,
+  outcome VARCHAR(100),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ
+);
+
+-- At most one in-flight attempt per survey across the cluster
+CREATE UNIQUE INDEX IF NOT EXISTS call_attempts_in_flight_idx
+  ON call_attempts (survey_id)
+  WHERE status IN ('dialing', 'in_progress');
+
+-- Per-survey attempt history (latest attempt, attempt counts)
+CREATE INDEX IF NOT EXISTS call_attempts_survey_idx
+  ON call_attempts (survey_id, started_at);
+
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  name VARCHAR(50) PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
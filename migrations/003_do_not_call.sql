@@ -0,0 +1,13 @@
+CREATE TABLE IF NOT EXISTS do_not_call (
+  id SERIAL PRIMARY KEY,
+  phone_number VARCHAR(20),
+  customer_id INTEGER REFERENCES customers(id),
+  reason TEXT,
+  source VARCHAR(20) NOT NULL,
+  call_id VARCHAR(100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (phone_number IS NOT NULL OR customer_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS do_not_call_phone_idx ON do_not_call (phone_number);
+CREATE UNIQUE INDEX IF NOT EXISTS do_not_call_customer_idx ON do_not_call (customer_id);
@@ -0,0 +1,21 @@
+-- Post-call analysis, written on call_analyzed
+ALTER TABLE call_attempts
+  ADD COLUMN IF NOT EXISTS call_summary TEXT,
+  ADD COLUMN IF NOT EXISTS user_sentiment VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS call_successful BOOLEAN,
+  ADD COLUMN IF NOT EXISTS in_voicemail BOOLEAN,
+  ADD COLUMN IF NOT EXISTS interested BOOLEAN,
+  ADD COLUMN IF NOT EXISTS meeting_requested BOOLEAN,
+  ADD COLUMN IF NOT EXISTS budget_confirmed BOOLEAN,
+  ADD COLUMN IF NOT EXISTS custom_analysis JSONB,
+  ADD COLUMN IF NOT EXISTS analyzed_at TIMESTAMPTZ;
+
+-- Transcript archive and search
+ALTER TABLE call_attempts
+  ADD COLUMN IF NOT EXISTS transcript TEXT,
+  ADD COLUMN IF NOT EXISTS transcript_utterances JSONB,
+  ADD COLUMN IF NOT EXISTS transcript_search TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', COALESCE(transcript, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS call_attempts_transcript_search_idx
+  ON call_attempts USING GIN (transcript_search);
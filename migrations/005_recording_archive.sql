@@ -0,0 +1,5 @@
+ALTER TABLE call_attempts
+  ADD COLUMN IF NOT EXISTS recording_key TEXT,
+  ADD COLUMN IF NOT EXISTS recording_archived_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS recording_archive_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS recording_archive_error TEXT;
@@ -0,0 +1,7 @@
+ALTER TABLE customers
+  ADD COLUMN IF NOT EXISTS phone_number_raw VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS phone_number_checked VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS phone_line_type VARCHAR(30),
+  ADD COLUMN IF NOT EXISTS phone_country CHAR(2),
+  ADD COLUMN IF NOT EXISTS phone_region VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS phone_validated_at TIMESTAMPTZ;
@@ -0,0 +1,19 @@
+CREATE TABLE IF NOT EXISTS scheduled_callbacks (
+  id SERIAL PRIMARY KEY,
+  survey_id INTEGER NOT NULL REFERENCES survey_responses(id),
+  requested_call_id VARCHAR(100),
+  due_at TIMESTAMPTZ NOT NULL,
+  time_zone VARCHAR(64),
+  requested_text VARCHAR(255),
+  previous_summary TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  call_id VARCHAR(100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one pending callback per survey
+CREATE UNIQUE INDEX IF NOT EXISTS scheduled_callbacks_pending_idx
+  ON scheduled_callbacks (survey_id)
+  WHERE status = 'pending';
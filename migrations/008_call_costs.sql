@@ -0,0 +1,8 @@
+ALTER TABLE call_attempts
+  ADD COLUMN IF NOT EXISTS campaign VARCHAR(100),
+  ADD COLUMN IF NOT EXISTS cost_cents NUMERIC(12, 4),
+  ADD COLUMN IF NOT EXISTS billed_seconds NUMERIC(10, 2);
+
+-- Spend per budget period
+CREATE INDEX IF NOT EXISTS call_attempts_started_at_idx
+  ON call_attempts (started_at);
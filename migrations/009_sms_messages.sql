@@ -0,0 +1,22 @@
+CREATE TABLE IF NOT EXISTS sms_messages (
+  id SERIAL PRIMARY KEY,
+  survey_id INTEGER REFERENCES survey_responses(id),
+  customer_id INTEGER REFERENCES customers(id),
+  direction VARCHAR(10) NOT NULL,
+  phone_number VARCHAR(20) NOT NULL,
+  body TEXT,
+  provider VARCHAR(20) NOT NULL,
+  provider_message_id VARCHAR(100),
+  status VARCHAR(20) NOT NULL,
+  intent VARCHAR(20),
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ
+);
+
+-- At most one follow-up per survey
+CREATE UNIQUE INDEX IF NOT EXISTS sms_messages_outbound_idx
+  ON sms_messages (survey_id)
+  WHERE direction = 'outbound';
+
+CREATE INDEX IF NOT EXISTS sms_messages_phone_idx ON sms_messages (phone_number, sent_at);
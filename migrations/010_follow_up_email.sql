@@ -0,0 +1,8 @@
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS follow_up_email_status VARCHAR(20),
+  ADD COLUMN IF NOT EXISTS follow_up_email_template VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS follow_up_email_message_id VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS follow_up_email_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS follow_up_email_error TEXT,
+  ADD COLUMN IF NOT EXISTS follow_up_email_attempted_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS follow_up_email_sent_at TIMESTAMPTZ;
@@ -0,0 +1,5 @@
+-- Priority score from the lead scoring model; drives the call queue order
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS priority_score NUMERIC(8, 2),
+  ADD COLUMN IF NOT EXISTS priority_model VARCHAR(64),
+  ADD COLUMN IF NOT EXISTS priority_scored_at TIMESTAMPTZ;
@@ -0,0 +1,8 @@
+-- Leases on survey rows so only one pod works a survey at a time. The call
+-- queue and the Odoo sync claim separately: a processed survey with a due
+-- callback can be in both.
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS odoo_claimed_by VARCHAR(255),
+  ADD COLUMN IF NOT EXISTS odoo_claimed_until TIMESTAMPTZ;
@@ -0,0 +1,64 @@
+-- Wake the service's call and Odoo loops as soon as a survey becomes eligible,
+-- instead of waiting for the next poll. The payload is the queue to scan.
+-- Surveys that become due with time (retries, callbacks, calling hours) are
+-- still found by polling.
+CREATE OR REPLACE FUNCTION survey_queue_notify() RETURNS trigger AS $$
+BEGIN
+  IF NEW.processed IS NOT TRUE
+    AND NEW.unreachable IS NOT TRUE
+    AND (NEW.next_attempt_at IS NULL OR NEW.next_attempt_at <= NOW()) THEN
+    PERFORM pg_notify('survey_queue', 'call');
+  END IF;
+
+  IF NEW.processed = TRUE AND NEW.sent_to_odoo IS NOT TRUE THEN
+    PERFORM pg_notify('survey_queue', 'odoo');
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Claim, scoring and follow-up columns are left out so the service's own
+-- bookkeeping doesn't wake it
+DROP TRIGGER IF EXISTS survey_responses_queue_notify ON survey_responses;
+CREATE TRIGGER survey_responses_queue_notify
+  AFTER INSERT OR UPDATE OF processed, unreachable, next_attempt_at, sent_to_odoo, call_summary
+  ON survey_responses
+  FOR EACH ROW
+  EXECUTE FUNCTION survey_queue_notify();
+
+-- A customer's surveys become callable once their phone number is validated
+CREATE OR REPLACE FUNCTION customer_queue_notify() RETURNS trigger AS $$
+BEGIN
+  IF NEW.phone_number_validated IS TRUE AND OLD.phone_number_validated IS NOT TRUE THEN
+    PERFORM pg_notify('survey_queue', 'call');
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS customers_queue_notify ON customers;
+CREATE TRIGGER customers_queue_notify
+  AFTER UPDATE OF phone_number_validated
+  ON customers
+  FOR EACH ROW
+  EXECUTE FUNCTION customer_queue_notify();
+
+-- Callbacks that are due right away, e.g. a customer replying CALL to a text
+CREATE OR REPLACE FUNCTION callback_queue_notify() RETURNS trigger AS $$
+BEGIN
+  IF NEW.status = 'pending' AND NEW.due_at <= NOW() THEN
+    PERFORM pg_notify('survey_queue', 'call');
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS scheduled_callbacks_queue_notify ON scheduled_callbacks;
+CREATE TRIGGER scheduled_callbacks_queue_notify
+  AFTER INSERT OR UPDATE OF status, due_at
+  ON scheduled_callbacks
+  FOR EACH ROW
+  EXECUTE FUNCTION callback_queue_notify();
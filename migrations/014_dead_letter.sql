@@ -0,0 +1,51 @@
+-- Failures per stage. A survey whose *_dead_lettered_at is set is left out of
+-- that stage's queue until an admin requeues it.
+ALTER TABLE survey_responses
+  ADD COLUMN IF NOT EXISTS call_error_code VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS call_error TEXT,
+  ADD COLUMN IF NOT EXISTS call_error_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS call_failed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS call_dead_lettered_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS odoo_error_code VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS odoo_error TEXT,
+  ADD COLUMN IF NOT EXISTS odoo_error_count INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS odoo_failed_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS odoo_next_attempt_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS odoo_dead_lettered_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS survey_responses_call_dead_letter_idx
+  ON survey_responses (call_dead_lettered_at)
+  WHERE call_dead_lettered_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS survey_responses_odoo_dead_letter_idx
+  ON survey_responses (odoo_dead_lettered_at)
+  WHERE odoo_dead_lettered_at IS NOT NULL;
+
+-- Dead-lettered surveys aren't eligible; requeueing one makes it eligible again
+CREATE OR REPLACE FUNCTION survey_queue_notify() RETURNS trigger AS $$
+BEGIN
+  IF NEW.processed IS NOT TRUE
+    AND NEW.unreachable IS NOT TRUE
+    AND NEW.call_dead_lettered_at IS NULL
+    AND (NEW.next_attempt_at IS NULL OR NEW.next_attempt_at <= NOW()) THEN
+    PERFORM pg_notify('survey_queue', 'call');
+  END IF;
+
+  IF NEW.processed = TRUE
+    AND NEW.sent_to_odoo IS NOT TRUE
+    AND NEW.odoo_dead_lettered_at IS NULL
+    AND (NEW.odoo_next_attempt_at IS NULL OR NEW.odoo_next_attempt_at <= NOW()) THEN
+    PERFORM pg_notify('survey_queue', 'odoo');
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS survey_responses_queue_notify ON survey_responses;
+CREATE TRIGGER survey_responses_queue_notify
+  AFTER INSERT OR UPDATE OF processed, unreachable, next_attempt_at, sent_to_odoo, call_summary,
+    call_dead_lettered_at, odoo_dead_lettered_at, odoo_next_attempt_at
+  ON survey_responses
+  FOR EACH ROW
+  EXECUTE FUNCTION survey_queue_notify();
@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+class AgentVariants {
+    constructor() {
+        this.experiment = process.env.RETELL_EXPERIMENT || 'default';
+        this.variants = AgentVariants.parseVariants(
+            process.env.RETELL_AGENT_VARIANTS,
+            process.env.RETELL_AGENT_ID || 'agent_826371748c85ca36277cae28c2'
+        );
+        this.totalWeight = this.variants.reduce((sum, variant) => sum + variant.weight, 0);
+
+        logger.info({
+            experiment: this.experiment,
+            variants: this.variants
+        }, 'Retell agent variants configured');
+    }
+
+    /**
+     * Parse "name=agent_id:weight,..." into variant definitions. Without a
+     * definition every call goes to a single "default" variant.
+     * @param {string} [value] - Variant list
+     * @param {string} fallbackAgentId - Agent used when no variants are configured
+     * @returns {Array<{name: string, agentId: string, weight: number}>} Variants
+     */
+    static parseVariants(value, fallbackAgentId) {
+        if (!value || !value.trim()) {
+            return [{ name: 'default', agentId: fallbackAgentId, weight: 100 }];
+        }
+
+        const variants = value.split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map((part) => {
+                const match = part.match(/^([a-z0-9_-]+)=([^:\s]+):(\d+)$/i);
+                if (!match) {
+                    throw new Error(`Invalid agent variant "${part}" - expected name=agent_id:weight`);
+                }
+                return { name: match[1], agentId: match[2], weight: parseInt(match[3], 10) };
+            });
+
+        const names = new Set(variants.map(variant => variant.name));
+        if (names.size !== variants.length) {
+            throw new Error('RETELL_AGENT_VARIANTS contains duplicate variant names');
+        }
+
+        if (!variants.some(variant => variant.weight > 0)) {
+            throw new Error('RETELL_AGENT_VARIANTS needs at least one variant with a positive weight');
+        }
+
+        return variants;
+    }
+
+    /**
+     * Deterministically assign a survey to a variant. The same survey always
+     * lands in the same variant for a given experiment name, so retries and
+     * follow-up calls stay on one agent.
+     * @param {number} surveyId - Survey ID
+     * @returns {{name: string, agentId: string}} Assigned variant
+     */
+    assign(surveyId) {
+        const hash = crypto.createHash('sha256')
+            .update(`${this.experiment}:${surveyId}`)
+            .digest();
+        let bucket = hash.readUInt32BE(0) % this.totalWeight;
+
+        for (const variant of this.variants) {
+            if (bucket < variant.weight) {
+                return { name: variant.name, agentId: variant.agentId };
+            }
+            bucket -= variant.weight;
+        }
+
+        // Unreachable while totalWeight is the sum of all weights
+        const last = this.variants[this.variants.length - 1];
+        return { name: last.name, agentId: last.agentId };
+    }
+}
+
+module.exports = AgentVariants;
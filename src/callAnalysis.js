@@ -0,0 +1,162 @@
+const logger = require('./logger');
+
+const SENTIMENTS = ['Positive', 'Neutral', 'Negative', 'Unknown'];
+
+// Local date-time without an offset: 2026-10-22, 2026-10-22T14:00, 2026-10-22 14:00:00
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+class CallAnalysisParser {
+    constructor() {
+        // Names of the custom post-call analysis fields configured on the Retell agent
+        this.fields = {
+            interested: process.env.RETELL_INTERESTED_FIELD || 'interested',
+            meetingRequested: process.env.RETELL_MEETING_REQUESTED_FIELD || 'meeting_requested',
+            budgetConfirmed: process.env.RETELL_BUDGET_CONFIRMED_FIELD || 'budget_confirmed',
+            optOut: process.env.RETELL_OPT_OUT_FIELD || 'do_not_call',
+            callbackRequested: process.env.RETELL_CALLBACK_REQUESTED_FIELD || 'callback_requested',
+            callbackTime: process.env.RETELL_CALLBACK_TIME_FIELD || 'callback_time',
+            callbackTimeZone: process.env.RETELL_CALLBACK_TIME_ZONE_FIELD || 'callback_time_zone'
+        };
+
+        // Used when the customer asks for a callback without saying when
+        this.callbackDefaultDelayHours = parseInt(process.env.CALLBACK_DEFAULT_DELAY_HOURS, 10) || 24;
+        // Used for date-only callback requests
+        this.callbackDefaultTime = process.env.CALLBACK_DEFAULT_TIME || '10:00';
+
+        logger.debug({ fields: this.fields }, 'Call analysis fields configured');
+    }
+
+    /**
+     * Read a yes/no analysis value; anything else is unknown
+     * @param {*} value - Raw value from custom_analysis_data
+     * @returns {boolean|null} Parsed flag, or null if missing or ambiguous
+     */
+    static parseFlag(value) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+
+        const normalized = String(value ?? '').trim().toLowerCase();
+        if (['true', 'yes', 'y'].includes(normalized)) {
+            return true;
+        }
+        if (['false', 'no', 'n'].includes(normalized)) {
+            return false;
+        }
+        return null;
+    }
+
+    /**
+     * Turn Retell's call_analysis into typed fields
+     * @param {Object} [callAnalysis] - call_analysis from the Retell call object
+     * @returns {Object} Typed analysis
+     */
+    parse(callAnalysis) {
+        const custom = callAnalysis?.custom_analysis_data && typeof callAnalysis.custom_analysis_data === 'object'
+            ? callAnalysis.custom_analysis_data
+            : {};
+
+        return {
+            summary: callAnalysis?.call_summary || null,
+            sentiment: SENTIMENTS.includes(callAnalysis?.user_sentiment) ? callAnalysis.user_sentiment : null,
+            callSuccessful: CallAnalysisParser.parseFlag(callAnalysis?.call_successful),
+            inVoicemail: CallAnalysisParser.parseFlag(callAnalysis?.in_voicemail),
+            interested: CallAnalysisParser.parseFlag(custom[this.fields.interested]),
+            meetingRequested: CallAnalysisParser.parseFlag(custom[this.fields.meetingRequested]),
+            budgetConfirmed: CallAnalysisParser.parseFlag(custom[this.fields.budgetConfirmed]),
+            optOut: CallAnalysisParser.parseFlag(custom[this.fields.optOut]) === true,
+            callback: {
+                requested: CallAnalysisParser.parseFlag(custom[this.fields.callbackRequested]) === true,
+                time: typeof custom[this.fields.callbackTime] === 'string' ? custom[this.fields.callbackTime].trim() : null,
+                timeZone: typeof custom[this.fields.callbackTimeZone] === 'string' ? custom[this.fields.callbackTimeZone].trim() : null
+            },
+            customData: custom
+        };
+    }
+
+    /**
+     * Whether a string is an IANA time zone this runtime knows
+     * @param {string} timeZone - Time zone name
+     * @returns {boolean} True if valid
+     */
+    static isTimeZone(timeZone) {
+        if (!timeZone) {
+            return false;
+        }
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Offset of a time zone from UTC at an instant
+     * @param {number} timestamp - Milliseconds since the epoch
+     * @param {string} timeZone - IANA time zone
+     * @returns {number} Offset in milliseconds
+     */
+    static timeZoneOffset(timestamp, timeZone) {
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    /**
+     * Work out when to call back. Times with an offset are taken as-is; local
+     * times are read in the requested time zone, else the customer's.
+     * @param {Object} callback - Callback request from parse()
+     * @param {string} customerTimeZone - Customer's time zone
+     * @param {Date} [now] - Current time
+     * @returns {{dueAt: Date, timeZone: string, exact: boolean}} Callback time; exact is false when a default was used
+     */
+    resolveCallbackTime(callback, customerTimeZone, now = new Date()) {
+        const timeZone = CallAnalysisParser.isTimeZone(callback.timeZone) ? callback.timeZone : customerTimeZone;
+        const fallback = {
+            dueAt: new Date(now.getTime() + this.callbackDefaultDelayHours * 3600000),
+            timeZone,
+            exact: false
+        };
+
+        if (!callback.time) {
+            return fallback;
+        }
+
+        let dueAt;
+        const local = callback.time.match(LOCAL_DATE_TIME);
+
+        if (local) {
+            const [defaultHour, defaultMinute] = this.callbackDefaultTime.split(':').map(Number);
+            const [, year, month, day, hour = defaultHour, minute = defaultMinute, second = 0] = local;
+            const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+            // Correct twice so requests right after a DST change land on the right hour
+            dueAt = wallClock - CallAnalysisParser.timeZoneOffset(wallClock, timeZone);
+            dueAt = wallClock - CallAnalysisParser.timeZoneOffset(dueAt, timeZone);
+            dueAt = new Date(dueAt);
+        } else {
+            dueAt = new Date(callback.time);
+        }
+
+        if (Number.isNaN(dueAt.getTime())) {
+            logger.warn({ callbackTime: callback.time }, 'Could not parse requested callback time - using default delay');
+            return fallback;
+        }
+
+        // A time already past (e.g. "this afternoon" analysed late) means as soon as possible
+        return { dueAt: dueAt < now ? now : dueAt, timeZone, exact: true };
+    }
+}
+
+module.exports = CallAnalysisParser;
@@ -0,0 +1,145 @@
+const logger = require('./logger');
+
+// NANP area codes grouped by IANA time zone. Area codes that straddle a zone
+// boundary are listed under the zone covering most of their subscribers.
+const AREA_CODE_TIME_ZONES = {
+    'America/St_Johns': [709],
+    'America/Halifax': [506, 782, 902],
+    'America/Puerto_Rico': [787, 939],
+    'America/Toronto': [
+        226, 249, 289, 343, 365, 382, 416, 437, 519, 548, 613, 647, 683, 705, 742, 753, 807, 905,
+        263, 354, 367, 418, 438, 450, 468, 514, 579, 581, 819, 873
+    ],
+    'America/New_York': [
+        201, 202, 203, 207, 212, 215, 216, 220, 223, 227, 229, 231, 234, 239, 240, 248, 252, 260,
+        267, 269, 272, 276, 283, 301, 302, 304, 305, 313, 315, 317, 321, 326, 330, 332, 336, 339,
+        347, 351, 352, 380, 386, 401, 404, 407, 410, 412, 413, 419, 423, 434, 436, 440, 443, 445,
+        448, 463, 470, 475, 478, 484, 502, 508, 513, 516, 517, 518, 540, 551, 561, 567, 570, 571,
+        574, 582, 585, 586, 603, 606, 607, 609, 610, 614, 616, 617, 631, 640, 646, 656, 667, 678,
+        679, 680, 681, 689, 703, 704, 706, 716, 717, 718, 724, 727, 732, 734, 740, 743, 754, 757,
+        762, 765, 770, 771, 772, 774, 781, 786, 802, 803, 804, 810, 812, 813, 814, 826, 828, 838,
+        839, 843, 845, 848, 854, 856, 857, 859, 860, 862, 863, 864, 865, 878, 904, 906, 908, 910,
+        912, 914, 917, 919, 929, 930, 934, 937, 941, 943, 947, 948, 954, 959, 973, 978, 980, 984, 989
+    ],
+    'America/Winnipeg': [204, 431],
+    'America/Regina': [306, 639],
+    'America/Chicago': [
+        205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 281, 308, 309, 312,
+        314, 316, 318, 319, 320, 325, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 430,
+        432, 447, 464, 469, 479, 501, 504, 507, 512, 515, 531, 534, 539, 557, 563, 572, 573, 580,
+        601, 605, 608, 612, 615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708,
+        712, 713, 715, 726, 731, 737, 763, 769, 773, 779, 785, 806, 815, 816, 817, 830, 832, 847,
+        870, 872, 901, 903, 913, 918, 920, 936, 938, 940, 945, 952, 956, 972, 975, 979, 985
+    ],
+    'America/Edmonton': [368, 403, 587, 780, 825],
+    'America/Denver': [208, 303, 307, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 983, 986],
+    'America/Phoenix': [480, 520, 602, 623, 928],
+    'America/Vancouver': [236, 250, 604, 672, 778],
+    'America/Los_Angeles': [
+        206, 209, 213, 253, 279, 310, 323, 341, 350, 360, 408, 415, 424, 425, 442, 458, 503, 509,
+        510, 530, 541, 559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747,
+        760, 775, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 971
+    ],
+    'America/Anchorage': [907],
+    'Pacific/Honolulu': [808]
+};
+
+const ISO_WEEKDAYS = { mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6, sun: 7 };
+
+class CallingHours {
+    constructor() {
+        const [start, end] = (process.env.CALLING_WINDOW || '09:00-20:00').split('-');
+
+        this.startMinute = CallingHours.parseTimeOfDay(start);
+        this.endMinute = CallingHours.parseTimeOfDay(end);
+        this.weekdays = CallingHours.parseWeekdays(process.env.CALLING_DAYS || 'mon,tue,wed,thu,fri');
+        this.holidays = CallingHours.parseHolidays(process.env.CALLING_HOLIDAYS || '');
+        this.defaultTimeZone = process.env.DEFAULT_CUSTOMER_TIME_ZONE || 'America/Vancouver';
+
+        if (this.startMinute >= this.endMinute) {
+            throw new Error(`Invalid CALLING_WINDOW "${process.env.CALLING_WINDOW}" - start must be before end`);
+        }
+
+        // Flatten the lookup table into parallel arrays for unnest() in SQL
+        this.areaCodes = [];
+        this.areaCodeTimeZones = [];
+        for (const [timeZone, codes] of Object.entries(AREA_CODE_TIME_ZONES)) {
+            for (const code of codes) {
+                this.areaCodes.push(String(code));
+                this.areaCodeTimeZones.push(timeZone);
+            }
+        }
+
+        logger.info({
+            window: `${start}-${end}`,
+            weekdays: this.weekdays,
+            holidays: this.holidays.length,
+            defaultTimeZone: this.defaultTimeZone
+        }, 'Calling hours configured');
+    }
+
+    /**
+     * Parse "HH:MM" into minutes since midnight
+     * @param {string} value - Time of day
+     * @returns {number} Minutes since midnight
+     */
+    static parseTimeOfDay(value) {
+        const match = (value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2], 10) > 59) {
+            throw new Error(`Invalid time of day "${value}" - expected HH:MM`);
+        }
+        return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    }
+
+    /**
+     * Parse a comma-separated list of weekday names into ISO weekday numbers
+     * @param {string} value - e.g. "mon,tue,wed,thu,fri"
+     * @returns {number[]} ISO weekdays (1 = Monday)
+     */
+    static parseWeekdays(value) {
+        return value.split(',')
+            .map(day => day.trim().toLowerCase().slice(0, 3))
+            .filter(Boolean)
+            .map((day) => {
+                if (!ISO_WEEKDAYS[day]) {
+                    throw new Error(`Invalid weekday "${day}" in CALLING_DAYS`);
+                }
+                return ISO_WEEKDAYS[day];
+            });
+    }
+
+    /**
+     * Parse a comma-separated list of YYYY-MM-DD holiday dates
+     * @param {string} value - Holiday list
+     * @returns {string[]} Holiday dates
+     */
+    static parseHolidays(value) {
+        return value.split(',')
+            .map(date => date.trim())
+            .filter(Boolean)
+            .map((date) => {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+                    throw new Error(`Invalid holiday "${date}" in CALLING_HOLIDAYS - expected YYYY-MM-DD`);
+                }
+                return date;
+            });
+    }
+
+    /**
+     * Calling-window parameters for the survey queue query
+     * @returns {Object} Window settings and area code lookup arrays
+     */
+    getQueryWindow() {
+        return {
+            areaCodes: this.areaCodes,
+            areaCodeTimeZones: this.areaCodeTimeZones,
+            defaultTimeZone: this.defaultTimeZone,
+            startMinute: this.startMinute,
+            endMinute: this.endMinute,
+            weekdays: this.weekdays,
+            holidays: this.holidays
+        };
+    }
+}
+
+module.exports = CallingHours;
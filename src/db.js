@@ -1,14 +1,171 @@
-const { Pool } = require('pg');
+const os = require('os');
+const { Pool, Client } = require('pg');
 const logger = require('./logger');
 
+// Phone numbers are matched on their digits; 10-digit NANP numbers get the leading 1
+const phoneDigitsSql = (column) => `(
+  CASE
+    WHEN length(regexp_replace(${column}, '[^0-9]', '', 'g')) = 10
+      THEN '1' || regexp_replace(${column}, '[^0-9]', '', 'g')
+    ELSE regexp_replace(${column}, '[^0-9]', '', 'g')
+  END
+)`;
+
+// Survey and customer columns shared by the call queue and SMS fallback queries
+const SURVEY_COLUMNS_SQL = `sr.id                     AS survey_id,
+          sr.customer_id,
+          c.name                    AS customer_name,
+          c.email                   AS client_email,
+          c.phone_number            AS client_phone_number,
+          sr.business_type,
+          sr.employee_count,
+          sr.revenue,
+          sr.operational_frustration,
+          sr.time_consuming_tasks,
+          sr.inefficiencies,
+          sr.automation_area,
+          sr.one_task_to_automate,
+          sr.hours_to_save,
+          sr.growth_obstacle,
+          sr.important_outcome,
+          sr.created_at             AS survey_date,
+          EXTRACT(
+            DAY FROM (NOW() - sr.created_at)
+          )                         AS days_since_survey,
+          lt.time_zone              AS customer_time_zone`;
+
+// Customer's local time as lt.time_zone / lt.local_now; takes parameters $3-$5 (see callingWindowParams)
+const LOCAL_TIME_JOIN_SQL = `LEFT JOIN unnest($3::text[], $4::text[]) AS atz(area_code, time_zone)
+          ON atz.area_code = substring(
+            regexp_replace(c.phone_number, '[^0-9]', '', 'g')
+            FROM '^1?([2-9][0-9]{2})[0-9]{7}$'
+          )
+        CROSS JOIN LATERAL (
+          SELECT
+            COALESCE(NULLIF(c.time_zone, ''), atz.time_zone, $5) AS time_zone,
+            NOW() AT TIME ZONE COALESCE(NULLIF(c.time_zone, ''), atz.time_zone, $5) AS local_now
+        ) lt`;
+
+// Customer's local time is inside the calling window; takes parameters $6-$9
+const CALLING_WINDOW_SQL = `AND EXTRACT(ISODOW FROM lt.local_now) = ANY($8::int[])
+          AND lt.local_now::date <> ALL($9::date[])
+          AND EXTRACT(HOUR FROM lt.local_now) * 60 + EXTRACT(MINUTE FROM lt.local_now) >= $6
+          AND EXTRACT(HOUR FROM lt.local_now) * 60 + EXTRACT(MINUTE FROM lt.local_now) < $7`;
+
+/**
+ * Query parameters $3-$9 for LOCAL_TIME_JOIN_SQL and CALLING_WINDOW_SQL
+ * @param {Object} callingWindow - Calling window from CallingHours.getQueryWindow()
+ * @returns {Array} Parameter values
+ */
+const callingWindowParams = callingWindow => [
+    callingWindow.areaCodes,
+    callingWindow.areaCodeTimeZones,
+    callingWindow.defaultTimeZone,
+    callingWindow.startMinute,
+    callingWindow.endMinute,
+    callingWindow.weekdays,
+    callingWindow.holidays
+];
+
+// Lease columns of each queue's claim on a survey, see renewClaims / releaseClaim
+const CLAIM_COLUMNS = {
+    call: { by: 'claimed_by', until: 'claimed_until' },
+    odoo: { by: 'odoo_claimed_by', until: 'odoo_claimed_until' }
+};
+
+// Stages a survey can be dead-lettered in; each has <stage>_error_code, <stage>_error,
+// <stage>_error_count, <stage>_failed_at and <stage>_dead_lettered_at columns
+const DEAD_LETTER_STAGES = ['call', 'odoo'];
+
+// Columns returned by getNextSurveyResponses - keep in sync with its SELECT list.
+// Used to validate the Retell dynamic variable mapping at startup.
+const SURVEY_QUEUE_COLUMNS = [
+    'survey_id',
+    'customer_id',
+    'customer_name',
+    'client_email',
+    'client_phone_number',
+    'business_type',
+    'employee_count',
+    'revenue',
+    'operational_frustration',
+    'time_consuming_tasks',
+    'inefficiencies',
+    'automation_area',
+    'one_task_to_automate',
+    'hours_to_save',
+    'growth_obstacle',
+    'important_outcome',
+    'survey_date',
+    'days_since_survey',
+    'customer_time_zone',
+    'callback_id',
+    'previous_call_summary'
+];
+
+// Survey answers the lead scoring model may read - see getSurveysPendingScoring
+const LEAD_SCORING_COLUMNS = [
+    'business_type',
+    'employee_count',
+    'revenue',
+    'operational_frustration',
+    'time_consuming_tasks',
+    'inefficiencies',
+    'automation_area',
+    'one_task_to_automate',
+    'hours_to_save',
+    'growth_obstacle',
+    'important_outcome',
+    'days_since_survey'
+];
+
+// Survey columns selected for scoring, as LEAD_SCORING_COLUMNS
+const LEAD_SCORING_SQL = `sr.id                     AS survey_id,
+          sr.business_type,
+          sr.employee_count,
+          sr.revenue,
+          sr.operational_frustration,
+          sr.time_consuming_tasks,
+          sr.inefficiencies,
+          sr.automation_area,
+          sr.one_task_to_automate,
+          sr.hours_to_save,
+          sr.growth_obstacle,
+          sr.important_outcome,
+          ROUND((EXTRACT(EPOCH FROM (NOW() - sr.created_at)) / 86400)::numeric, 2) AS days_since_survey`;
+
+// Columns returned by getNextSurveyForFollowUpEmail; used to validate the email templates at startup
+const FOLLOW_UP_EMAIL_COLUMNS = [
+    'survey_id',
+    'customer_id',
+    'customer_name',
+    'client_email',
+    'business_type',
+    'employee_count',
+    'automation_area',
+    'one_task_to_automate',
+    'hours_to_save',
+    'growth_obstacle',
+    'important_outcome',
+    'survey_date',
+    'summary',
+    'interested',
+    'meeting_requested',
+    'budget_confirmed'
+];
+
 class DatabaseClient {
     constructor() {
-        this.pool = new Pool({
+        this.connectionConfig = {
             host: process.env.DB_HOST,
             port: parseInt(process.env.DB_PORT, 10),
             database: process.env.DB_NAME,
             user: process.env.POSTGRES_USER,
-            password: process.env.POSTGRES_PASSWORD,
+            password: process.env.POSTGRES_PASSWORD
+        };
+
+        this.pool = new Pool({
+            ...this.connectionConfig,
             max: 10,
             idleTimeoutMillis: 30000,
             connectionTimeoutMillis: 5000,
@@ -21,6 +178,17 @@ class DatabaseClient {
         });
 
         this.tableName = process.env.DB_TABLE_NAME || 'survey_responses';
+
+        // Claimed surveys are leased to this pod; a lease that isn't renewed expires
+        // so a crashed pod's surveys are picked up again
+        this.claimOwner = process.env.POD_NAME || os.hostname();
+        this.claimLeaseMs = parseInt(process.env.CLAIM_LEASE_MS, 10) || 120000;
+
+        // Dedicated LISTEN connection, see listenForQueueChanges
+        this.listener = null;
+        this.listenerReconnectTimer = null;
+        this.listenerRetryMs = 1000;
+        this.listening = false;
     }
 
     async healthCheck() {
@@ -36,83 +204,1789 @@ class DatabaseClient {
     }
 
     /**
-     * Get the next eligible survey response for processing with sharding and row locking
+     * Claim the next eligible survey responses in this shard, highest priority
+     * first. Each claim is a lease of claimLeaseMs that the caller renews
+     * (renewClaims) while the call is in flight; it is cleared when the call
+     * ends or by releaseClaim.
      * @param {number} shardIndex - 1-based shard index for this pod
      * @param {number} totalShards - Total number of shards (pods)
-     * @returns {Promise<Object|null>} Survey response row or null if none available
+     * @param {Object} callingWindow - Permitted calling window, see CallingHours.getQueryWindow()
+     * @param {number} [limit] - Most surveys to claim
+     * @returns {Promise<Object[]>} Claimed survey response rows, empty if none available
      */
-    async getNextSurveyResponse(shardIndex, totalShards, activeSurveys) {
-        const client = await this.pool.connect();
+    async getNextSurveyResponses(shardIndex, totalShards, callingWindow, limit = 1) {
+        try {
+            // Pick and claim in one statement so no other pod or tick can take the same row
+            const query = `
+        WITH candidate AS (
+          SELECT
+            ${SURVEY_COLUMNS_SQL},
+            cb.id                     AS callback_id,
+            cb.previous_summary       AS previous_call_summary,
+            sr.priority_score
+          FROM survey_responses sr
+          JOIN customers c
+            ON c.id = sr.customer_id
+          -- a callback the customer asked for that is now due
+          LEFT JOIN LATERAL (
+            SELECT id, previous_summary
+            FROM scheduled_callbacks
+            WHERE survey_id = sr.id
+              AND status = 'pending'
+              AND due_at <= NOW()
+            LIMIT 1
+          ) cb ON TRUE
+          ${LOCAL_TIME_JOIN_SQL}
+          WHERE
+            c.phone_number IS NOT NULL
+            AND c.phone_number <> ''
+            AND (
+              (
+                sr.processed IS NOT TRUE
+                AND sr.unreachable IS NOT TRUE
+                AND (sr.next_attempt_at IS NULL OR sr.next_attempt_at <= NOW())
+              )
+              OR cb.id IS NOT NULL
+            )
+            AND c.phone_number_validated IS TRUE
+            AND (sr.id % $2) = ($1 - 1)
+            -- claimed by no pod, or by one that stopped renewing its lease
+            AND (sr.claimed_until IS NULL OR sr.claimed_until < NOW())
+            AND sr.call_dead_lettered_at IS NULL
+            AND NOT EXISTS (
+              SELECT 1
+              FROM call_attempts ca
+              WHERE ca.survey_id = sr.id
+                AND ca.status IN ('dialing', 'in_progress')
+            )
+            AND NOT EXISTS (
+              SELECT 1
+              FROM do_not_call dnc
+              WHERE dnc.customer_id = c.id
+                 OR dnc.phone_number = ${phoneDigitsSql('c.phone_number')}
+            )
+            -- only customers currently inside the permitted calling window, in their local time
+            ${CALLING_WINDOW_SQL}
+          ORDER BY
+            -- requested callbacks go first; the customer is expecting them
+            (cb.id IS NULL),
+            -- lead scoring model, see LeadScorer; surveys not scored yet go last
+            sr.priority_score DESC NULLS LAST,
+            sr.created_at DESC
+          LIMIT $12
+          FOR UPDATE OF sr SKIP LOCKED
+        ), claimed AS (
+          UPDATE ${this.tableName} s
+          SET claimed_by = $10,
+              claimed_until = NOW() + make_interval(secs => $11)
+          FROM candidate
+          WHERE s.id = candidate.survey_id
+          RETURNING candidate.*
+        )
+        SELECT *
+        FROM claimed
+        -- same order as the queue; UPDATE ... RETURNING doesn't keep it
+        ORDER BY (callback_id IS NULL), priority_score DESC NULLS LAST, survey_date DESC
+      `;
+            const result = await this.pool.query(query, [
+                shardIndex,
+                totalShards,
+                ...callingWindowParams(callingWindow),
+                this.claimOwner,
+                this.claimLeaseMs / 1000,
+                limit
+            ]);
+
+            if (result.rows.length === 0) {
+                logger.debug({ shardIndex, totalShards }, 'No eligible survey responses found for this shard');
+                return [];
+            }
+
+            logger.info({
+                surveyIds: result.rows.map(row => row.survey_id),
+                shardIndex,
+                totalShards
+            }, 'Claimed survey responses');
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                shardIndex,
+                totalShards
+            }, 'Failed to get next survey responses');
+            throw error;
+        }
+    }
+
+    /**
+     * Extend this pod's leases on surveys it is still working on. A survey
+     * whose lease already lapsed and was claimed by another pod is not renewed.
+     * @param {string} queue - 'call' or 'odoo'
+     * @param {number[]} surveyIds - Survey response IDs this pod believes it holds
+     * @returns {Promise<number[]>} IDs whose lease was renewed
+     */
+    async renewClaims(queue, surveyIds) {
+        const { by, until } = CLAIM_COLUMNS[queue];
+
+        if (surveyIds.length === 0) {
+            return [];
+        }
 
         try {
-            await client.query('BEGIN');
+            const result = await this.pool.query(`
+        UPDATE ${this.tableName}
+        SET ${until} = NOW() + make_interval(secs => $3)
+        WHERE id = ANY($1::int[])
+          AND ${by} = $2
+        RETURNING id
+      `, [surveyIds, this.claimOwner, this.claimLeaseMs / 1000]);
 
-            // Query with sharding logic and row locking
-            const query = `
+            return result.rows.map(row => row.id);
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                queue,
+                surveyIds
+            }, 'Failed to renew survey claims');
+            throw error;
+        }
+    }
+
+    /**
+     * Give up this pod's claim on a survey so it can be picked up again right away
+     * @param {string} queue - 'call' or 'odoo'
+     * @param {number} surveyId - The survey response ID
+     * @returns {Promise<boolean>} True if this pod held the claim
+     */
+    async releaseClaim(queue, surveyId) {
+        const { by, until } = CLAIM_COLUMNS[queue];
+
+        try {
+            const result = await this.pool.query(`
+        UPDATE ${this.tableName}
+        SET ${by} = NULL,
+            ${until} = NULL
+        WHERE id = $1
+          AND ${by} = $2
+      `, [surveyId, this.claimOwner]);
+
+            return result.rowCount > 0;
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                queue,
+                surveyId
+            }, 'Failed to release survey claim');
+            throw error;
+        }
+    }
+
+    /**
+     * Count the unclaimed surveys in this shard waiting for each queue. The call
+     * count is approximate: it ignores calling hours and the do-not-call list.
+     * @param {number} shardIndex - 1-based shard index for this pod
+     * @param {number} totalShards - Total number of shards (pods)
+     * @returns {Promise<{call: number, odoo: number}>} Surveys waiting per queue
+     */
+    async getQueueDepths(shardIndex, totalShards) {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          COUNT(*) FILTER (
+            WHERE c.phone_number_validated IS TRUE
+              AND (sr.claimed_until IS NULL OR sr.claimed_until < NOW())
+              AND sr.call_dead_lettered_at IS NULL
+              AND (
+                (
+                  sr.processed IS NOT TRUE
+                  AND sr.unreachable IS NOT TRUE
+                  AND (sr.next_attempt_at IS NULL OR sr.next_attempt_at <= NOW())
+                )
+                OR EXISTS (
+                  SELECT 1
+                  FROM scheduled_callbacks cb
+                  WHERE cb.survey_id = sr.id
+                    AND cb.status = 'pending'
+                    AND cb.due_at <= NOW()
+                )
+              )
+          )::int AS call,
+          COUNT(*) FILTER (
+            WHERE sr.processed = TRUE
+              AND sr.sent_to_odoo IS NOT TRUE
+              AND (sr.odoo_claimed_until IS NULL OR sr.odoo_claimed_until < NOW())
+              AND sr.odoo_dead_lettered_at IS NULL
+              AND (sr.odoo_next_attempt_at IS NULL OR sr.odoo_next_attempt_at <= NOW())
+          )::int AS odoo
+        FROM survey_responses sr
+        JOIN customers c
+          ON c.id = sr.customer_id
+        WHERE (sr.id % $2) = ($1 - 1)
+      `, [shardIndex, totalShards]);
+
+            return result.rows[0];
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                shardIndex,
+                totalShards
+            }, 'Failed to count queued surveys');
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed attempt to place a call for a survey and release its claim.
+     * The survey is retried after an exponential backoff, and dead-lettered at once
+     * if the error is permanent or once it has failed maxAttempts times.
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} failure - What went wrong
+     * @param {string} failure.errorCode - Short machine-readable code, e.g. http_400
+     * @param {string} failure.error - Error message
+     * @param {boolean} failure.permanent - Retrying won't help; dead-letter the survey now
+     * @param {number|null} failure.maxAttempts - Failed calls before the survey is dead-lettered; null never dead-letters
+     * @param {number} failure.retryDelayMs - Delay after the first failure; doubles each time, up to an hour
+     * @returns {Promise<{attempts: number, deadLettered: boolean, nextAttemptAt: Date|null}>} Outcome
+     */
+    async markCallFailed(surveyId, { errorCode, error, permanent, maxAttempts, retryDelayMs }) {
+        try {
+            const result = await this.pool.query(`
+        UPDATE ${this.tableName}
+        SET call_error_code = $2,
+            call_error = $3,
+            call_error_count = call_error_count + 1,
+            call_failed_at = NOW(),
+            call_dead_lettered_at = CASE
+              WHEN $4::boolean OR call_error_count + 1 >= $5::int THEN NOW()
+            END,
+            next_attempt_at = CASE
+              WHEN $4::boolean OR call_error_count + 1 >= $5::int THEN next_attempt_at
+              ELSE NOW() + make_interval(secs => LEAST($6 * power(2, call_error_count), 3600))
+            END,
+            claimed_by = NULL,
+            claimed_until = NULL
+        WHERE id = $1
+        RETURNING call_error_count, call_dead_lettered_at, next_attempt_at
+      `, [surveyId, errorCode, error, permanent, maxAttempts, retryDelayMs / 1000]);
+
+            const row = result.rows[0];
+            return {
+                attempts: row ? row.call_error_count : 0,
+                deadLettered: Boolean(row?.call_dead_lettered_at),
+                nextAttemptAt: row?.call_dead_lettered_at ? null : row?.next_attempt_at || null
+            };
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                surveyId
+            }, 'Failed to record call failure');
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed Odoo sync. The survey is retried after an exponential
+     * backoff, and dead-lettered once it has failed maxAttempts times.
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} failure - What went wrong
+     * @param {string} failure.errorCode - Short machine-readable code
+     * @param {string} failure.error - Error message
+     * @param {number} failure.maxAttempts - Failed syncs before the survey is dead-lettered
+     * @param {number} failure.retryDelayMs - Delay after the first failure; doubles each time, up to an hour
+     * @returns {Promise<{attempts: number, deadLettered: boolean, nextAttemptAt: Date|null}>} Outcome
+     */
+    async markOdooSyncFailed(surveyId, { errorCode, error, maxAttempts, retryDelayMs }) {
+        try {
+            const result = await this.pool.query(`
+        UPDATE ${this.tableName}
+        SET odoo_error_code = $2,
+            odoo_error = $3,
+            odoo_error_count = odoo_error_count + 1,
+            odoo_failed_at = NOW(),
+            odoo_dead_lettered_at = CASE WHEN odoo_error_count + 1 >= $4 THEN NOW() END,
+            odoo_next_attempt_at = CASE
+              WHEN odoo_error_count + 1 >= $4 THEN NULL
+              ELSE NOW() + make_interval(secs => LEAST($5 * power(2, odoo_error_count), 3600))
+            END,
+            odoo_claimed_by = NULL,
+            odoo_claimed_until = NULL
+        WHERE id = $1
+        RETURNING odoo_error_count, odoo_dead_lettered_at, odoo_next_attempt_at
+      `, [surveyId, errorCode, error, maxAttempts, retryDelayMs / 1000]);
+
+            const row = result.rows[0];
+            return {
+                attempts: row ? row.odoo_error_count : 0,
+                deadLettered: Boolean(row?.odoo_dead_lettered_at),
+                nextAttemptAt: row?.odoo_next_attempt_at || null
+            };
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                surveyId
+            }, 'Failed to record Odoo sync failure');
+            throw error;
+        }
+    }
+
+    /**
+     * List surveys dead-lettered in a stage, most recent first
+     * @param {string} stage - 'call' or 'odoo'
+     * @param {number} [limit] - Page size
+     * @param {number} [offset] - Page offset
+     * @returns {Promise<Object[]>} Dead-lettered surveys
+     */
+    async listDeadLetters(stage, limit = 100, offset = 0) {
+        DatabaseClient.assertDeadLetterStage(stage);
+
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          sr.id                     AS survey_id,
+          sr.customer_id,
+          c.name                    AS customer_name,
+          sr.${stage}_error_code    AS error_code,
+          sr.${stage}_error         AS error,
+          sr.${stage}_error_count   AS attempts,
+          sr.${stage}_failed_at     AS failed_at,
+          sr.${stage}_dead_lettered_at AS dead_lettered_at
+        FROM ${this.tableName} sr
+        JOIN customers c
+          ON c.id = sr.customer_id
+        WHERE sr.${stage}_dead_lettered_at IS NOT NULL
+        ORDER BY sr.${stage}_dead_lettered_at DESC
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error({ err: error, stage }, 'Failed to list dead-lettered surveys');
+            throw error;
+        }
+    }
+
+    /**
+     * A survey's failure details in a stage, with its recent call attempts
+     * @param {string} stage - 'call' or 'odoo'
+     * @param {number} surveyId - The survey response ID
+     * @returns {Promise<Object|null>} Failure details, or null if the survey doesn't exist
+     */
+    async getDeadLetter(stage, surveyId) {
+        DatabaseClient.assertDeadLetterStage(stage);
+
+        try {
+            const result = await this.pool.query(`
         SELECT
           sr.id                     AS survey_id,
           sr.customer_id,
           c.name                    AS customer_name,
-          c.email                   AS client_email,
           c.phone_number            AS client_phone_number,
-          sr.business_type,
-          sr.employee_count,
-          sr.revenue,
-          sr.operational_frustration,
-          sr.time_consuming_tasks,
-          sr.inefficiencies,
-          sr.automation_area,
-          sr.one_task_to_automate,
-          sr.hours_to_save,
-          sr.growth_obstacle,
-          sr.important_outcome,
-          sr.created_at             AS survey_date,
-          EXTRACT(
-            DAY FROM (NOW() - sr.created_at)
-          )                         AS days_since_survey
-        FROM survey_responses sr
+          sr.processed,
+          sr.sent_to_odoo,
+          sr.call_status,
+          sr.attempt_count,
+          sr.unreachable,
+          sr.${stage}_error_code    AS error_code,
+          sr.${stage}_error         AS error,
+          sr.${stage}_error_count   AS attempts,
+          sr.${stage}_failed_at     AS failed_at,
+          sr.${stage}_dead_lettered_at AS dead_lettered_at,
+          COALESCE((
+            SELECT json_agg(ca ORDER BY ca.started_at DESC)
+            FROM (
+              SELECT call_id, status, outcome, agent_variant, started_at, ended_at
+              FROM call_attempts
+              WHERE survey_id = sr.id
+              ORDER BY started_at DESC
+              LIMIT 10
+            ) ca
+          ), '[]'::json)            AS call_attempts
+        FROM ${this.tableName} sr
         JOIN customers c
           ON c.id = sr.customer_id
-        WHERE
-          c.phone_number IS NOT NULL
-          AND c.phone_number <> ''
-          AND sr.processed IS NOT TRUE
-          AND c.phone_number_validated IS TRUE
-          AND (sr.id % $2) = ($1 - 1)
-          AND sr.id <> ALL($3::int[]) 
-        ORDER BY
-          CASE
-            WHEN sr.operational_frustration ILIKE '%extremely%'  THEN 1
-            WHEN sr.operational_frustration ILIKE '%very%'       THEN 2
-            WHEN sr.operational_frustration ILIKE '%frustrated%' THEN 3
-            ELSE 4
-          END,
-          sr.created_at DESC
-        LIMIT 1
-        FOR UPDATE SKIP LOCKED
-      `;
-            const activeSurveyIds = [...activeSurveys.keys()]
-                .filter((x) => Number.isInteger(x)); // also removes null/undefined
-            const result = await client.query(query, [shardIndex, totalShards, activeSurveyIds]);
+        WHERE sr.id = $1
+      `, [surveyId]);
 
-            await client.query('COMMIT');
+            return result.rows[0] || null;
+
+        } catch (error) {
+            logger.error({ err: error, stage, surveyId }, 'Failed to get dead-lettered survey');
+            throw error;
+        }
+    }
+
+    /**
+     * Put dead-lettered surveys back in a stage's queue and reset their failure count
+     * @param {string} stage - 'call' or 'odoo'
+     * @param {Object} filter - Which surveys to requeue; at least one field is required
+     * @param {number[]} [filter.surveyIds] - Only these surveys
+     * @param {string} [filter.errorCode] - Only surveys that failed with this code
+     * @returns {Promise<number[]>} IDs of the requeued surveys
+     */
+    async requeueDeadLetters(stage, { surveyIds = null, errorCode = null }) {
+        DatabaseClient.assertDeadLetterStage(stage);
+
+        if (!surveyIds && !errorCode) {
+            throw new Error('surveyIds or errorCode is required to requeue dead-lettered surveys');
+        }
+
+        try {
+            const result = await this.pool.query(`
+        UPDATE ${this.tableName}
+        SET ${stage}_dead_lettered_at = NULL,
+            ${stage}_error_count = 0${stage === 'odoo' ? `,
+            odoo_next_attempt_at = NULL` : ''}
+        WHERE ${stage}_dead_lettered_at IS NOT NULL
+          AND ($1::int[] IS NULL OR id = ANY($1::int[]))
+          AND ($2::text IS NULL OR ${stage}_error_code = $2)
+        RETURNING id
+      `, [surveyIds, errorCode]);
+
+            const requeued = result.rows.map(row => row.id);
+            logger.info({ stage, surveyIds: requeued }, 'Requeued dead-lettered surveys');
+            return requeued;
+
+        } catch (error) {
+            logger.error({ err: error, stage, surveyIds, errorCode }, 'Failed to requeue dead-lettered surveys');
+            throw error;
+        }
+    }
+
+    /**
+     * Count dead-lettered surveys per stage, across all shards
+     * @returns {Promise<{call: number, odoo: number}>} Dead-lettered surveys per stage
+     */
+    async getDeadLetterCounts() {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE call_dead_lettered_at IS NOT NULL)::int AS call,
+          COUNT(*) FILTER (WHERE odoo_dead_lettered_at IS NOT NULL)::int AS odoo
+        FROM ${this.tableName}
+        WHERE call_dead_lettered_at IS NOT NULL
+           OR odoo_dead_lettered_at IS NOT NULL
+      `);
+
+            return result.rows[0];
+
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to count dead-lettered surveys');
+            throw error;
+        }
+    }
+
+    /**
+     * Dead-letter stages are interpolated into column names, so only known ones are allowed
+     * @param {string} stage - Stage name
+     * @throws {Error} If the stage is unknown
+     */
+    static assertDeadLetterStage(stage) {
+        if (!DEAD_LETTER_STAGES.includes(stage)) {
+            throw new Error(`Unknown dead-letter stage "${stage}" - expected ${DEAD_LETTER_STAGES.join(' or ')}`);
+        }
+    }
+
+    /**
+     * Mark a survey response as sent to Retell
+     * @param {number} surveyId - The survey response ID
+     * @returns {Promise<boolean>} Success status
+     */
+    // async markAsSentToRetell(surveyId) {
+    //     const client = await this.pool.connect();
+
+    //     try {
+    //         const query = `
+    //     UPDATE ${this.tableName} 
+    //     SET data_sent_to_retell = TRUE, updated_at = NOW() 
+    //     WHERE id = $1
+    //   `;
+
+    //         const result = await client.query(query, [surveyId]);
+
+    //         if (result.rowCount === 0) {
+    //             logger.warn({ surveyId }, 'No rows updated when marking as sent to Retell');
+    //             return false;
+    //         }
+
+    //         logger.info({ surveyId }, 'Marked survey response as sent to Retell');
+    //         return true;
+
+    //     } catch (error) {
+    //         logger.error({
+    //             err: error,
+    //             surveyId
+    //         }, 'Failed to mark survey response as sent to Retell');
+    //         throw error;
+    //     } finally {
+    //         client.release();
+    //     }
+    // }
+
+    /**
+     * Get survey response by ID for webhook processing
+     * @param {number} surveyId - The survey response ID
+     * @returns {Promise<Object|null>} Survey response row or null if not found
+     */
+    async getSurveyResponseById(surveyId) {
+        try {
+            const query = `
+        SELECT id, customer_id, processed
+        FROM ${this.tableName}
+        WHERE id = $1
+      `;
+
+            const result = await this.pool.query(query, [surveyId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return result.rows[0];
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                surveyId
+            }, 'Failed to get survey response by ID');
+            throw error;
+        }
+    }
+
+    /**
+     * Persist the outcome of an ended call and mark the survey as processed
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} outcome - Call outcome from the Retell webhook
+     * @param {string} outcome.callId - Retell call ID
+     * @param {string} outcome.callStatus - Retell call status
+     * @param {string} [outcome.disconnectionReason] - Retell disconnection reason
+     * @param {string} [outcome.transcript] - Call transcript
+     * @param {string} [outcome.outcome] - Classified call outcome
+     * @param {number} [outcome.durationMs] - Call duration in milliseconds
+     * @returns {Promise<boolean>} Success status
+     */
+    async markCallEnded(surveyId, { callId, callStatus, disconnectionReason, transcript, outcome, durationMs }) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+        UPDATE call_attempts
+        SET status = 'ended',
+            outcome = $2,
+            duration_ms = $3,
+            ended_at = COALESCE(ended_at, NOW())
+        WHERE call_id = $1
+      `, [callId, outcome || disconnectionReason || callStatus || null, durationMs ?? null]);
+
+            const result = await client.query(`
+        UPDATE ${this.tableName}
+        SET processed = TRUE,
+            call_status = $2,
+            disconnection_reason = $3,
+            call_transcript = COALESCE($4, call_transcript),
+            -- the webhook may reach a different pod from the one that placed the call
+            claimed_by = NULL,
+            claimed_until = NULL,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [
+                surveyId,
+                callStatus || null,
+                disconnectionReason || null,
+                transcript || null
+            ]);
+
+            await client.query('COMMIT');
+
+            if (result.rowCount === 0) {
+                logger.warn({ surveyId, callId }, 'No rows updated when marking call as ended');
+                return false;
+            }
+
+            logger.info({ surveyId, callId, callStatus, disconnectionReason }, 'Marked survey response as processed');
+            return true;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error({
+                err: error,
+                surveyId,
+                callId
+            }, 'Failed to mark call as ended');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Count the calls actually placed for a survey (attempts that got a Retell call ID)
+     * @param {number} surveyId - The survey response ID
+     * @returns {Promise<number>} Number of placed calls
+     */
+    async getPlacedCallCount(surveyId) {
+        try {
+            const result = await this.pool.query(`
+        SELECT COUNT(*)::int AS count
+        FROM call_attempts
+        WHERE survey_id = $1
+          AND call_id IS NOT NULL
+      `, [surveyId]);
+
+            return result.rows[0].count;
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                surveyId
+            }, 'Failed to count placed calls');
+            throw error;
+        }
+    }
+
+    /**
+     * Record a call that did not reach the customer. The attempt is closed as
+     * failed and the survey is either scheduled for another attempt or marked
+     * unreachable.
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} outcome - Call outcome from Retell
+     * @param {string} outcome.callId - Retell call ID
+     * @param {string} outcome.callStatus - Retell call status
+     * @param {string} [outcome.disconnectionReason] - Retell disconnection reason
+     * @param {string} outcome.outcome - Classified call outcome
+     * @param {number} outcome.attemptCount - Calls placed so far
+     * @param {Date|null} outcome.nextAttemptAt - When the survey may be called again
+     * @param {boolean} outcome.unreachable - Whether retries are exhausted
+     * @param {number} [outcome.durationMs] - Call duration in milliseconds
+     * @returns {Promise<boolean>} Success status
+     */
+    async markCallUnsuccessful(surveyId, {
+        callId, callStatus, disconnectionReason, outcome, attemptCount, nextAttemptAt, unreachable, durationMs
+    }) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+        UPDATE call_attempts
+        SET status = 'failed',
+            outcome = $2,
+            duration_ms = $3,
+            ended_at = COALESCE(ended_at, NOW())
+        WHERE call_id = $1
+      `, [callId, outcome, durationMs ?? null]);
+
+            const result = await client.query(`
+        UPDATE ${this.tableName}
+        SET call_status = $2,
+            disconnection_reason = $3,
+            attempt_count = $4,
+            next_attempt_at = $5,
+            unreachable = $6,
+            claimed_by = NULL,
+            claimed_until = NULL,
+            updated_at = NOW()
+        WHERE id = $1
+          AND processed IS NOT TRUE
+      `, [surveyId, callStatus || null, disconnectionReason || null, attemptCount, nextAttemptAt, unreachable]);
+
+            await client.query('COMMIT');
+
+            logger.info({
+                surveyId,
+                callId,
+                outcome,
+                attemptCount,
+                nextAttemptAt,
+                unreachable
+            }, unreachable ? 'Call unsuccessful - survey marked unreachable' : 'Call unsuccessful - retry scheduled');
+
+            return result.rowCount > 0;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error({
+                err: error,
+                surveyId,
+                callId
+            }, 'Failed to record unsuccessful call');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Persist the post-call analysis of a call: the typed analysis fields on the
+     * call attempt and, for the call that completed the survey, the summary and
+     * transcript on the survey response. Voicemail and no-answer attempts keep
+     * theirs on the attempt only, so they never stand in for the completed call.
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} analysis - Parsed analysis (see CallAnalysisParser)
+     * @param {string} analysis.callId - Retell call ID
+     * @param {string} [analysis.summary] - Call summary
+     * @param {string} [analysis.transcript] - Call transcript
+     * @param {string} [analysis.sentiment] - Customer sentiment
+     * @param {boolean} [analysis.callSuccessful] - Whether the agent reached its goal
+     * @param {boolean} [analysis.inVoicemail] - Whether the call reached voicemail
+     * @param {boolean} [analysis.interested] - Whether the customer is interested
+     * @param {boolean} [analysis.meetingRequested] - Whether the customer asked for a meeting
+     * @param {boolean} [analysis.budgetConfirmed] - Whether the customer confirmed a budget
+     * @param {Object} [analysis.customData] - Raw custom analysis data
+     * @param {boolean} analysis.completed - Whether this call completed the survey
+     * @returns {Promise<boolean>} Success status
+     */
+    async saveCallAnalysis(surveyId, {
+        callId,
+        completed,
+        summary,
+        transcript,
+        sentiment,
+        callSuccessful,
+        inVoicemail,
+        interested,
+        meetingRequested,
+        budgetConfirmed,
+        customData
+    }) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`
+        UPDATE call_attempts
+        SET call_summary = $2,
+            user_sentiment = $3,
+            call_successful = $4,
+            in_voicemail = $5,
+            interested = $6,
+            meeting_requested = $7,
+            budget_confirmed = $8,
+            custom_analysis = $9,
+            analyzed_at = NOW()
+        WHERE call_id = $1
+      `, [
+                callId,
+                summary || null,
+                sentiment || null,
+                callSuccessful ?? null,
+                inVoicemail ?? null,
+                interested ?? null,
+                meetingRequested ?? null,
+                budgetConfirmed ?? null,
+                customData ? JSON.stringify(customData) : null
+            ]);
+
+            let updated = true;
+            if (completed) {
+                const result = await client.query(`
+          UPDATE ${this.tableName}
+          SET call_summary = $2,
+              call_transcript = COALESCE($3, call_transcript),
+              updated_at = NOW()
+          WHERE id = $1
+        `, [surveyId, summary || null, transcript || null]);
+                updated = result.rowCount > 0;
+            }
+
+            await client.query('COMMIT');
+
+            if (!updated) {
+                logger.warn({ surveyId, callId }, 'No rows updated when saving call analysis');
+                return false;
+            }
+
+            logger.info({
+                surveyId,
+                callId,
+                completed,
+                hasSummary: !!summary,
+                sentiment,
+                interested,
+                meetingRequested
+            }, 'Saved call analysis for survey response');
+            return true;
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error({
+                err: error,
+                surveyId,
+                callId
+            }, 'Failed to save call analysis');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Archive a call's transcript on its call attempt
+     * @param {string} callId - Retell call ID
+     * @param {Object} transcript - Transcript to store
+     * @param {string} transcript.transcript - Full transcript text
+     * @param {Array<Object>} transcript.utterances - Speaker turns with start/end seconds
+     * @returns {Promise<boolean>} True if a call attempt was updated
+     */
+    async saveCallTranscript(callId, { transcript, utterances }) {
+        try {
+            const result = await this.pool.query(`
+        UPDATE call_attempts
+        SET transcript = $2,
+            transcript_utterances = $3
+        WHERE call_id = $1
+      `, [callId, transcript, JSON.stringify(utterances || [])]);
+
+            if (result.rowCount === 0) {
+                logger.warn({ callId }, 'No call attempt found for transcript');
+                return false;
+            }
+
+            logger.debug({ callId, utterances: (utterances || []).length }, 'Archived call transcript');
+            return true;
+
+        } catch (error) {
+            logger.error({ err: error, callId }, 'Failed to archive call transcript');
+            throw error;
+        }
+    }
+
+    /**
+     * Full-text search over archived transcripts
+     * @param {string} searchText - Search terms (web search syntax: "quoted phrases", or, -exclude)
+     * @param {number} [limit=20] - Maximum number of calls to return
+     * @param {number} [offset=0] - Number of calls to skip
+     * @returns {Promise<Array<Object>>} Matching calls, best match first, with highlighted snippets
+     */
+    async searchTranscripts(searchText, limit = 20, offset = 0) {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          ca.call_id,
+          ca.survey_id,
+          ca.started_at,
+          ca.duration_ms,
+          ca.outcome,
+          ca.agent_variant,
+          ca.user_sentiment,
+          ca.call_summary,
+          c.name                  AS customer_name,
+          c.phone_number          AS client_phone_number,
+          sr.business_type,
+          sr.operational_frustration,
+          sr.one_task_to_automate,
+          sr.created_at           AS survey_date,
+          ts_rank(ca.transcript_search, query) AS rank,
+          ts_headline('english', ca.transcript, query,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=3, MaxWords=25, MinWords=8, FragmentDelimiter=" ... "') AS snippet
+        FROM call_attempts ca
+        JOIN survey_responses sr
+          ON sr.id = ca.survey_id
+        JOIN customers c
+          ON c.id = sr.customer_id
+        CROSS JOIN websearch_to_tsquery('english', $1) AS query
+        WHERE ca.transcript_search @@ query
+        ORDER BY rank DESC, ca.started_at DESC
+        LIMIT $2 OFFSET $3
+      `, [searchText, limit, offset]);
+
+            return result.rows.map(row => ({ ...row, rank: Number(row.rank) }));
+
+        } catch (error) {
+            logger.error({ err: error, searchText }, 'Failed to search call transcripts');
+            throw error;
+        }
+    }
+
+    /**
+     * Record what Retell charged for a call
+     * @param {string} callId - Retell call ID
+     * @param {Object} cost - Call cost
+     * @param {number} cost.costCents - Combined cost in cents
+     * @param {number} [cost.billedSeconds] - Duration Retell billed
+     * @returns {Promise<boolean>} True if a call attempt was updated
+     */
+    async saveCallCost(callId, { costCents, billedSeconds }) {
+        try {
+            const result = await this.pool.query(`
+        UPDATE call_attempts
+        SET cost_cents = $2,
+            billed_seconds = COALESCE($3, billed_seconds)
+        WHERE call_id = $1
+      `, [callId, costCents, billedSeconds ?? null]);
+
+            if (result.rowCount === 0) {
+                logger.warn({ callId }, 'No call attempt found for call cost');
+                return false;
+            }
+
+            return true;
+
+        } catch (error) {
+            logger.error({ err: error, callId }, 'Failed to save call cost');
+            throw error;
+        }
+    }
+
+    /**
+     * Spend in the current day and month, counted across the whole cluster, with the
+     * calls still in flight whose cost isn't known yet
+     * @param {string} timeZone - Zone whose calendar defines the periods
+     * @returns {Promise<Object>} Spend in cents, calls in flight per period and the average cost of recent calls
+     */
+    async getCurrentSpend(timeZone) {
+        try {
+            const result = await this.pool.query(`
+        WITH periods AS (
+          SELECT
+            date_trunc('day', NOW() AT TIME ZONE $1) AT TIME ZONE $1 AS day_start,
+            date_trunc('month', NOW() AT TIME ZONE $1) AT TIME ZONE $1 AS month_start
+        )
+        SELECT
+          COALESCE(SUM(ca.cost_cents) FILTER (WHERE ca.started_at >= p.day_start), 0)::float AS day_cents,
+          COALESCE(SUM(ca.cost_cents), 0)::float AS month_cents,
+          COUNT(*) FILTER (
+            WHERE ca.started_at >= p.day_start
+              AND ca.status IN ('dialing', 'in_progress') AND ca.cost_cents IS NULL
+          )::int AS day_in_flight,
+          COUNT(*) FILTER (
+            WHERE ca.status IN ('dialing', 'in_progress') AND ca.cost_cents IS NULL
+          )::int AS month_in_flight,
+          (
+            SELECT AVG(cost_cents)
+            FROM call_attempts
+            WHERE cost_cents IS NOT NULL
+              AND started_at >= NOW() - INTERVAL '30 days'
+          )::float AS average_call_cents
+        FROM periods p
+        LEFT JOIN call_attempts ca ON ca.started_at >= p.month_start
+        GROUP BY p.day_start
+      `, [timeZone]);
+
+            const row = result.rows[0];
+            return {
+                dayCents: row.day_cents,
+                monthCents: row.month_cents,
+                dayInFlight: row.day_in_flight,
+                monthInFlight: row.month_in_flight,
+                averageCallCents: row.average_call_cents
+            };
+
+        } catch (error) {
+            logger.error({ err: error, timeZone }, 'Failed to get current spend');
+            throw error;
+        }
+    }
+
+    /**
+     * Call volume, duration and cost per day, per agent and per campaign
+     * @param {number} days - Number of calendar days to cover, including today
+     * @param {string} timeZone - Zone whose calendar defines the days
+     * @returns {Promise<Object>} byDay, byAgent and byCampaign breakdowns
+     */
+    async getCallCostStats(days, timeZone) {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          GROUPING(day, agent_id, campaign) AS grouping,
+          day,
+          agent_id,
+          campaign,
+          COUNT(*) FILTER (WHERE call_id IS NOT NULL)::int AS calls,
+          COALESCE(SUM(duration_ms), 0)::float / 1000 AS duration_seconds,
+          COALESCE(SUM(cost_cents), 0)::float AS cost_cents
+        FROM (
+          SELECT
+            to_char(started_at AT TIME ZONE $2, 'YYYY-MM-DD') AS day,
+            agent_id,
+            COALESCE(campaign, 'default') AS campaign,
+            call_id,
+            duration_ms,
+            cost_cents
+          FROM call_attempts
+          WHERE started_at >= (date_trunc('day', NOW() AT TIME ZONE $2) - ($1 - 1) * INTERVAL '1 day') AT TIME ZONE $2
+        ) attempts
+        GROUP BY GROUPING SETS ((day), (agent_id), (campaign))
+        ORDER BY day, agent_id, campaign
+      `, [days, timeZone]);
+
+            const breakdown = (grouping, key) => result.rows
+                .filter(row => row.grouping === grouping)
+                .map(row => ({
+                    [key]: row[key],
+                    calls: row.calls,
+                    durationSeconds: row.duration_seconds,
+                    costCents: Math.round(row.cost_cents * 100) / 100
+                }));
+
+            // GROUPING() sets one bit per column that is rolled up: day=4, agent_id=2, campaign=1
+            return {
+                byDay: breakdown(3, 'day'),
+                byAgent: breakdown(5, 'agent_id'),
+                byCampaign: breakdown(6, 'campaign')
+            };
+
+        } catch (error) {
+            logger.error({ err: error, days, timeZone }, 'Failed to get call cost statistics');
+            throw error;
+        }
+    }
+
+    /**
+     * Completed calls in this shard whose recording has not been archived yet
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @param {number} maxAttempts - Archive attempts after which a recording is given up on
+     * @param {number} limit - Maximum number of calls to return
+     * @returns {Promise<Array<Object>>} Call attempts, oldest first
+     */
+    async getCallsPendingRecordingArchive(shardIndex, totalShards, maxAttempts, limit) {
+        try {
+            const result = await this.pool.query(`
+        SELECT id, survey_id, call_id, recording_archive_attempts
+        FROM call_attempts
+        WHERE status = 'ended'
+          AND call_id IS NOT NULL
+          AND recording_key IS NULL
+          AND recording_archive_attempts < $3
+          -- Retell needs a moment after the call to publish the recording
+          AND ended_at < NOW() - INTERVAL '1 minute'
+          AND (survey_id % $1) = ($2 - 1)
+        ORDER BY ended_at ASC
+        LIMIT $4
+      `, [totalShards, shardIndex, maxAttempts, limit]);
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error({ err: error, shardIndex, totalShards }, 'Failed to get calls pending recording archive');
+            throw error;
+        }
+    }
+
+    /**
+     * Record where a call's recording was archived
+     * @param {number} attemptId - Call attempt ID
+     * @param {string} key - Object key in the recording bucket
+     * @returns {Promise<void>}
+     */
+    async markRecordingArchived(attemptId, key) {
+        try {
+            await this.pool.query(`
+        UPDATE call_attempts
+        SET recording_key = $2,
+            recording_archived_at = NOW(),
+            recording_archive_error = NULL
+        WHERE id = $1
+      `, [attemptId, key]);
+
+        } catch (error) {
+            logger.error({ err: error, attemptId }, 'Failed to mark recording as archived');
+            throw error;
+        }
+    }
+
+    /**
+     * Count a failed archive attempt for a call's recording
+     * @param {number} attemptId - Call attempt ID
+     * @param {string} message - Failure description
+     * @returns {Promise<void>}
+     */
+    async markRecordingArchiveFailed(attemptId, message) {
+        try {
+            await this.pool.query(`
+        UPDATE call_attempts
+        SET recording_archive_attempts = recording_archive_attempts + 1,
+            recording_archive_error = $2
+        WHERE id = $1
+      `, [attemptId, String(message).slice(0, 500)]);
+
+        } catch (error) {
+            logger.error({ err: error, attemptId }, 'Failed to record recording archive failure');
+            throw error;
+        }
+    }
+
+    /**
+     * Look up the archived recording of a call
+     * @param {string} callId - Retell call ID
+     * @returns {Promise<Object|null>} survey_id and recording_key, or null if the call is unknown
+     */
+    async getCallRecording(callId) {
+        try {
+            const result = await this.pool.query(`
+        SELECT survey_id, call_id, recording_key, recording_archived_at
+        FROM call_attempts
+        WHERE call_id = $1
+      `, [callId]);
+
+            return result.rows[0] || null;
+
+        } catch (error) {
+            logger.error({ err: error, callId }, 'Failed to get call recording');
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule a callback the customer asked for. A survey has at most one
+     * open callback; a newer request replaces the time of a pending one.
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} callback - Callback request
+     * @param {string} callback.callId - Call on which the callback was requested
+     * @param {Date} callback.dueAt - When to call back
+     * @param {string} callback.timeZone - Time zone the request was made in
+     * @param {string} [callback.requestedText] - Requested time as extracted from the call
+     * @param {string} [callback.previousSummary] - Summary of the call, passed to the follow-up call
+     * @returns {Promise<number>} Callback ID
+     */
+    async scheduleCallback(surveyId, { callId, dueAt, timeZone, requestedText, previousSummary }) {
+        try {
+            const result = await this.pool.query(`
+        INSERT INTO scheduled_callbacks (survey_id, requested_call_id, due_at, time_zone, requested_text, previous_summary)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (survey_id) WHERE status = 'pending'
+        DO UPDATE SET
+          requested_call_id = EXCLUDED.requested_call_id,
+          due_at = EXCLUDED.due_at,
+          time_zone = EXCLUDED.time_zone,
+          requested_text = EXCLUDED.requested_text,
+          previous_summary = COALESCE(EXCLUDED.previous_summary, scheduled_callbacks.previous_summary),
+          updated_at = NOW()
+        RETURNING id
+      `, [surveyId, callId, dueAt, timeZone, requestedText || null, previousSummary || null]);
+
+            const callbackId = result.rows[0].id;
+            logger.info({ surveyId, callId, callbackId, dueAt, timeZone }, 'Scheduled customer callback');
+            return callbackId;
+
+        } catch (error) {
+            logger.error({ err: error, surveyId, callId }, 'Failed to schedule callback');
+            throw error;
+        }
+    }
+
+    /**
+     * Record that a scheduled callback has been dialed
+     * @param {number} callbackId - Callback ID
+     * @param {string} callId - Retell call ID of the follow-up call
+     * @returns {Promise<void>}
+     */
+    async markCallbackPlaced(callbackId, callId) {
+        try {
+            await this.pool.query(`
+        UPDATE scheduled_callbacks
+        SET status = 'placed',
+            call_id = $2,
+            attempt_count = attempt_count + 1,
+            updated_at = NOW()
+        WHERE id = $1
+      `, [callbackId, callId]);
+
+        } catch (error) {
+            logger.error({ err: error, callbackId, callId }, 'Failed to mark callback as placed');
+            throw error;
+        }
+    }
+
+    /**
+     * Settle a dialed callback once its call has ended
+     * @param {number} callbackId - Callback ID
+     * @param {Object} result - What happened
+     * @param {boolean} result.completed - Whether the customer was reached
+     * @param {Date|null} [result.retryAt] - When to try again if not reached; null gives up
+     * @returns {Promise<string|null>} New status, or null if the callback was not in flight
+     */
+    async finishCallback(callbackId, { completed, retryAt }) {
+        const status = completed ? 'completed' : (retryAt ? 'pending' : 'missed');
+
+        try {
+            const result = await this.pool.query(`
+        UPDATE scheduled_callbacks sc
+        SET status = CASE
+              -- a newer request already replaced this one
+              WHEN $2 = 'pending' AND EXISTS (
+                SELECT 1 FROM scheduled_callbacks other
+                WHERE other.survey_id = sc.survey_id AND other.status = 'pending'
+              ) THEN 'missed'
+              ELSE $2
+            END,
+            due_at = COALESCE($3, due_at),
+            updated_at = NOW()
+        WHERE id = $1
+          AND status = 'placed'
+        RETURNING status
+      `, [callbackId, status, completed ? null : retryAt || null]);
+
+            if (result.rowCount === 0) {
+                return null;
+            }
+
+            logger.info({ callbackId, status: result.rows[0].status, retryAt }, 'Callback call finished');
+            return result.rows[0].status;
+
+        } catch (error) {
+            logger.error({ err: error, callbackId }, 'Failed to finish callback');
+            throw error;
+        }
+    }
+
+    /**
+     * Get the attempt count of a callback
+     * @param {number} callbackId - Callback ID
+     * @returns {Promise<number>} Calls placed for the callback
+     */
+    async getCallbackAttemptCount(callbackId) {
+        try {
+            const result = await this.pool.query(`
+        SELECT attempt_count
+        FROM scheduled_callbacks
+        WHERE id = $1
+      `, [callbackId]);
+
+            return result.rows[0]?.attempt_count || 0;
+
+        } catch (error) {
+            logger.error({ err: error, callbackId }, 'Failed to get callback attempt count');
+            throw error;
+        }
+    }
+
+    /**
+     * Reserve a cluster-wide call slot and record the attempt before dialing.
+     * Slot reservation is serialized across pods with an advisory lock: the
+     * attempt is only written if the cluster is below its concurrent-call
+     * limit and a token is available in the shared rate-limit bucket. A
+     * partial unique index on call_attempts guarantees at most one in-flight
+     * attempt per survey.
+     * @param {number} surveyId - The survey response ID
+     * @param {string} podName - Pod placing the call
+     * @param {{name: string, agentId: string}} variant - Agent variant the survey is assigned to
+     * @param {string} fromNumber - Caller ID the call is placed from
+     * @param {string} campaign - Campaign the call's cost is attributed to
+     * @param {Object} limits - Cluster-wide outbound call limits
+     * @param {number} limits.maxConcurrent - Maximum in-flight calls across all pods
+     * @param {number} limits.burst - Token bucket capacity
+     * @param {number} limits.ratePerSecond - Token bucket refill rate
+     * @param {Object} callerIdCaps - Caps on calls placed from fromNumber
+     * @param {number} callerIdCaps.hourly - Most calls from the number in the last hour
+     * @param {number} callerIdCaps.daily - Most calls from the number in the last 24 hours
+     * @returns {Promise<{attemptId: number|null, reason?: string}>} Attempt ID, or the reason
+     *   no attempt was recorded: in_flight, concurrency, caller_id_cap or rate
+     */
+    async createCallAttempt(surveyId, podName, variant, fromNumber, campaign, limits, callerIdCaps) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            await client.query(`SELECT pg_advisory_xact_lock(hashtext('retell_outbound_calls'))`);
+
+            const inFlight = await client.query(`
+        SELECT COUNT(*)::int AS count
+        FROM call_attempts
+        WHERE status IN ('dialing', 'in_progress')
+      `);
+
+            if (inFlight.rows[0].count >= limits.maxConcurrent) {
+                await client.query('ROLLBACK');
+                logger.debug({ surveyId, inFlight: inFlight.rows[0].count }, 'Concurrent call limit reached');
+                return { attemptId: null, reason: 'concurrency' };
+            }
+
+            // The pool picked the number from counts read outside the lock, so other
+            // workers may have used up its caps since
+            const callerIdUsage = await client.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE started_at > NOW() - INTERVAL '1 hour')::int AS calls_last_hour,
+          COUNT(*)::int                                                     AS calls_last_day
+        FROM call_attempts
+        WHERE from_number = $1
+          AND started_at > NOW() - INTERVAL '24 hours'
+      `, [fromNumber]);
+
+            const { calls_last_hour: callsLastHour, calls_last_day: callsLastDay } = callerIdUsage.rows[0];
+            if (callsLastHour >= callerIdCaps.hourly || callsLastDay >= callerIdCaps.daily) {
+                await client.query('ROLLBACK');
+                logger.debug({ surveyId, fromNumber, callsLastHour, callsLastDay }, 'Caller ID call cap reached');
+                return { attemptId: null, reason: 'caller_id_cap' };
+            }
+
+            let attempt;
+            try {
+                attempt = await client.query(`
+          INSERT INTO call_attempts (survey_id, pod_name, agent_variant, agent_id, from_number, campaign, status, started_at)
+          VALUES ($1, $2, $3, $4, $5, $6, 'dialing', NOW())
+          RETURNING id
+        `, [surveyId, podName, variant.name, variant.agentId, fromNumber, campaign]);
+            } catch (error) {
+                if (error.code === '23505') { // Unique violation - another attempt is in flight
+                    await client.query('ROLLBACK');
+                    logger.debug({ surveyId, podName }, 'Call attempt already in flight for survey');
+                    return { attemptId: null, reason: 'in_flight' };
+                }
+                throw error;
+            }
+
+            // Refill the bucket for the time since it was last touched, then take one token
+            await client.query(`
+        INSERT INTO rate_limit_buckets (name, tokens, updated_at)
+        VALUES ('outbound_calls', $1, NOW())
+        ON CONFLICT (name) DO NOTHING
+      `, [limits.burst]);
+
+            const token = await client.query(`
+        UPDATE rate_limit_buckets
+        SET tokens = LEAST($1, tokens + EXTRACT(EPOCH FROM (NOW() - updated_at)) * $2) - 1,
+            updated_at = NOW()
+        WHERE name = 'outbound_calls'
+          AND LEAST($1, tokens + EXTRACT(EPOCH FROM (NOW() - updated_at)) * $2) >= 1
+        RETURNING tokens
+      `, [limits.burst, limits.ratePerSecond]);
+
+            if (token.rows.length === 0) {
+                await client.query('ROLLBACK');
+                logger.debug({ surveyId }, 'Outbound call rate limit reached');
+                return { attemptId: null, reason: 'rate' };
+            }
+
+            await client.query('COMMIT');
+
+            return { attemptId: attempt.rows[0].id };
+
+        } catch (error) {
+            await client.query('ROLLBACK');
+            logger.error({
+                err: error,
+                surveyId
+            }, 'Failed to create call attempt');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Attach the Retell call ID to an attempt once the call has been placed
+     * @param {number} attemptId - Call attempt ID
+     * @param {string} callId - Retell call ID
+     * @returns {Promise<void>}
+     */
+    async markCallAttemptDialed(attemptId, callId) {
+        try {
+            await this.pool.query(`
+        UPDATE call_attempts
+        SET call_id = $2, status = 'in_progress'
+        WHERE id = $1
+      `, [attemptId, callId]);
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                attemptId,
+                callId
+            }, 'Failed to mark call attempt as dialed');
+            throw error;
+        }
+    }
+
+    /**
+     * Close an attempt whose call could not be placed
+     * @param {number} attemptId - Call attempt ID
+     * @param {string} outcome - Short failure description
+     * @returns {Promise<void>}
+     */
+    async markCallAttemptFailed(attemptId, outcome) {
+        try {
+            await this.pool.query(`
+        UPDATE call_attempts
+        SET status = 'failed', outcome = $2, ended_at = NOW()
+        WHERE id = $1
+      `, [attemptId, outcome]);
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                attemptId
+            }, 'Failed to mark call attempt as failed');
+            throw error;
+        }
+    }
+
+    /**
+     * Get in-flight call attempts older than the given age
+     * @param {number} staleAfterMs - Minimum attempt age in milliseconds
+     * @returns {Promise<Object[]>} Stale call attempt rows
+     */
+    async getStaleCallAttempts(staleAfterMs) {
+        try {
+            const result = await this.pool.query(`
+        SELECT id, survey_id, call_id, pod_name, status, started_at
+        FROM call_attempts
+        WHERE status IN ('dialing', 'in_progress')
+          AND started_at < NOW() - ($1 * INTERVAL '1 millisecond')
+        ORDER BY started_at ASC
+        LIMIT 100
+      `, [staleAfterMs]);
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to get stale call attempts');
+            throw error;
+        }
+    }
+
+    /**
+     * Give up on an in-flight attempt so its survey becomes eligible again
+     * @param {number} attemptId - Call attempt ID
+     * @param {string} outcome - Why the attempt was expired
+     * @returns {Promise<void>}
+     */
+    async expireCallAttempt(attemptId, outcome) {
+        try {
+            await this.pool.query(`
+        UPDATE call_attempts
+        SET status = 'expired', outcome = $2, ended_at = NOW()
+        WHERE id = $1
+          AND status IN ('dialing', 'in_progress')
+      `, [attemptId, outcome]);
+
+            logger.warn({ attemptId, outcome }, 'Expired call attempt - survey will be retried');
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                attemptId
+            }, 'Failed to expire call attempt');
+            throw error;
+        }
+    }
+
+    /**
+     * Normalize a phone number the same way phoneDigitsSql does
+     * @param {string} phoneNumber - Phone number in any format
+     * @returns {string|null} Digits-only phone number, or null if empty
+     */
+    static normalizePhoneDigits(phoneNumber) {
+        const digits = String(phoneNumber || '').replace(/[^0-9]/g, '');
+        if (!digits) {
+            return null;
+        }
+        return digits.length === 10 ? `1${digits}` : digits;
+    }
+
+    /**
+     * Check whether a customer or phone number is on the do-not-call list
+     * @param {number} customerId - Customer ID
+     * @param {string} phoneNumber - Phone number about to be dialed
+     * @returns {Promise<boolean>} True if the customer must not be called
+     */
+    async isOnDoNotCallList(customerId, phoneNumber) {
+        try {
+            const result = await this.pool.query(`
+        SELECT 1
+        FROM do_not_call
+        WHERE customer_id = $1
+           OR phone_number = $2
+        LIMIT 1
+      `, [customerId, DatabaseClient.normalizePhoneDigits(phoneNumber)]);
+
+            return result.rows.length > 0;
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                customerId
+            }, 'Failed to check do-not-call list');
+            throw error;
+        }
+    }
+
+    /**
+     * List do-not-call entries, newest first
+     * @param {number} limit - Maximum number of entries
+     * @param {number} offset - Number of entries to skip
+     * @returns {Promise<Object[]>} Do-not-call entries
+     */
+    async listDoNotCall(limit = 100, offset = 0) {
+        try {
+            const result = await this.pool.query(`
+        SELECT id, phone_number, customer_id, reason, source, call_id, created_at
+        FROM do_not_call
+        ORDER BY created_at DESC
+        LIMIT $1 OFFSET $2
+      `, [limit, offset]);
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to list do-not-call entries');
+            throw error;
+        }
+    }
+
+    /**
+     * Add a phone number and/or customer to the do-not-call list
+     * @param {Object} entry - Do-not-call entry
+     * @param {string} [entry.phoneNumber] - Phone number in any format
+     * @param {number} [entry.customerId] - Customer ID
+     * @param {string} [entry.reason] - Free-text reason
+     * @param {string} entry.source - admin, call_analysis or sms
+     * @param {string} [entry.callId] - Call in which the customer opted out
+     * @returns {Promise<Object|null>} Created entry, or null if already listed
+     */
+    async addDoNotCall({ phoneNumber, customerId, reason, source, callId }) {
+        try {
+            const result = await this.pool.query(`
+        INSERT INTO do_not_call (phone_number, customer_id, reason, source, call_id)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT DO NOTHING
+        RETURNING id, phone_number, customer_id, reason, source, call_id, created_at
+      `, [
+                DatabaseClient.normalizePhoneDigits(phoneNumber),
+                customerId || null,
+                reason || null,
+                source,
+                callId || null
+            ]);
+
+            if (result.rows.length === 0) {
+                logger.info({ customerId, source }, 'Do-not-call entry already exists');
+                return null;
+            }
+
+            logger.info({ entryId: result.rows[0].id, customerId, source }, 'Added do-not-call entry');
+            return result.rows[0];
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                customerId,
+                source
+            }, 'Failed to add do-not-call entry');
+            throw error;
+        }
+    }
+
+    /**
+     * Put the customer behind a survey on the do-not-call list
+     * @param {number} surveyId - The survey response ID
+     * @param {string} callId - Call in which the customer opted out
+     * @returns {Promise<boolean>} True if a new entry was created
+     */
+    async optOutSurveyCustomer(surveyId, callId) {
+        try {
+            const result = await this.pool.query(`
+        INSERT INTO do_not_call (phone_number, customer_id, reason, source, call_id)
+        SELECT ${phoneDigitsSql('c.phone_number')}, c.id, 'Asked not to be contacted during call', 'call_analysis', $2
+        FROM ${this.tableName} sr
+        JOIN customers c
+          ON c.id = sr.customer_id
+        WHERE sr.id = $1
+        ON CONFLICT DO NOTHING
+      `, [surveyId, callId]);
+
+            logger.info({ surveyId, callId }, 'Customer opted out of calls');
+            return result.rowCount > 0;
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                surveyId,
+                callId
+            }, 'Failed to record call opt-out');
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a do-not-call entry
+     * @param {number} entryId - Do-not-call entry ID
+     * @returns {Promise<boolean>} True if an entry was removed
+     */
+    async removeDoNotCall(entryId) {
+        try {
+            const result = await this.pool.query('DELETE FROM do_not_call WHERE id = $1', [entryId]);
+
+            if (result.rowCount > 0) {
+                logger.info({ entryId }, 'Removed do-not-call entry');
+            }
+
+            return result.rowCount > 0;
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                entryId
+            }, 'Failed to remove do-not-call entry');
+            throw error;
+        }
+    }
+
+    /**
+     * Customers in this shard whose phone number has not been validated in its current form
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @param {number} limit - Maximum number of customers to return
+     * @returns {Promise<Array<{id: number, phone_number: string}>>} Customers to validate
+     */
+    async getCustomersPendingPhoneValidation(shardIndex, totalShards, limit) {
+        try {
+            const result = await this.pool.query(`
+        SELECT id, phone_number
+        FROM customers
+        WHERE phone_number_checked IS DISTINCT FROM phone_number
+          AND (id % $1) = ($2 - 1)
+        ORDER BY id DESC
+        LIMIT $3
+      `, [totalShards, shardIndex, limit]);
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error({ err: error, shardIndex, totalShards }, 'Failed to get customers pending phone validation');
+            throw error;
+        }
+    }
+
+    /**
+     * Store the result of validating a customer's phone number. Valid numbers
+     * are rewritten to E.164; the number as entered is kept in phone_number_raw.
+     * @param {number} customerId - Customer ID
+     * @param {string} checkedNumber - Phone number that was validated
+     * @param {Object} result - Validation result (see PhoneValidator.classify)
+     * @returns {Promise<boolean>} False if the number changed in the meantime
+     */
+    async savePhoneValidation(customerId, checkedNumber, { e164, lineType, country, region, callable }) {
+        try {
+            const result = await this.pool.query(`
+        UPDATE customers
+        SET phone_number_raw = phone_number,
+            phone_number = COALESCE($3, phone_number),
+            phone_number_checked = COALESCE($3, phone_number),
+            phone_number_validated = $4,
+            phone_line_type = $5,
+            phone_country = $6,
+            phone_region = $7,
+            phone_validated_at = NOW()
+        WHERE id = $1
+          AND phone_number IS NOT DISTINCT FROM $2
+      `, [customerId, checkedNumber, e164, callable, lineType, country, region]);
+
+            if (result.rowCount === 0) {
+                return false;
+            }
+
+            logger.debug({ customerId, lineType, country, callable }, 'Validated customer phone number');
+            return true;
+
+        } catch (error) {
+            logger.error({ err: error, customerId }, 'Failed to save phone validation');
+            throw error;
+        }
+    }
+
+    /**
+     * Claim the next survey in this shard whose call attempts are exhausted and
+     * that has not had an SMS follow-up yet, inside the customer's calling hours
+     * @param {number} shardIndex - 1-based shard index for this pod
+     * @param {number} totalShards - Total number of shards (pods)
+     * @param {Object} callingWindow - Permitted calling window, see CallingHours.getQueryWindow()
+     * @param {string} provider - SMS provider name
+     * @param {number} maxAgeHours - Skip surveys that became unreachable longer ago than this
+     * @returns {Promise<{messageId: number, surveyData: Object}|null>} Claimed message and survey, or null
+     */
+    async claimNextSmsFallback(shardIndex, totalShards, callingWindow, provider, maxAgeHours) {
+        const client = await this.pool.connect();
+
+        try {
+            await client.query('BEGIN');
+
+            const result = await client.query(`
+        SELECT
+          ${SURVEY_COLUMNS_SQL},
+          NULL::int                 AS callback_id,
+          NULL::text                AS previous_call_summary
+        FROM ${this.tableName} sr
+        JOIN customers c
+          ON c.id = sr.customer_id
+        ${LOCAL_TIME_JOIN_SQL}
+        WHERE
+          sr.unreachable IS TRUE
+          AND sr.processed IS NOT TRUE
+          AND sr.updated_at > NOW() - make_interval(hours => $10)
+          AND c.phone_number_validated IS TRUE
+          -- landlines can't receive texts; unknown line types are worth a try
+          AND c.phone_line_type IS DISTINCT FROM 'landline'
+          AND (sr.id % $2) = ($1 - 1)
+          AND NOT EXISTS (
+            SELECT 1
+            FROM sms_messages sm
+            WHERE sm.survey_id = sr.id
+              AND sm.direction = 'outbound'
+          )
+          AND NOT EXISTS (
+            SELECT 1
+            FROM call_attempts ca
+            WHERE ca.survey_id = sr.id
+              AND ca.outcome = 'invalid_number'
+          )
+          AND NOT EXISTS (
+            SELECT 1
+            FROM do_not_call dnc
+            WHERE dnc.customer_id = c.id
+               OR dnc.phone_number = ${phoneDigitsSql('c.phone_number')}
+          )
+          ${CALLING_WINDOW_SQL}
+        ORDER BY sr.updated_at DESC
+        LIMIT 1
+        FOR UPDATE OF sr SKIP LOCKED
+      `, [
+                shardIndex,
+                totalShards,
+                ...callingWindowParams(callingWindow),
+                maxAgeHours
+            ]);
 
             if (result.rows.length === 0) {
-                logger.debug({ shardIndex, totalShards }, 'No eligible survey responses found for this shard');
+                await client.query('COMMIT');
                 return null;
             }
 
-            const row = result.rows[0];
-            // const rows = result.rows;
-            logger.info('Processing survey response', {
-                surveyId: row.survey_id,
-                customerId: row.customer_id,
-                customerName: row.customer_name,
-                shardIndex,
-                totalShards
-            });
+            const surveyData = result.rows[0];
+
+            // The unique outbound index makes this the claim; a concurrent pod gets no row back
+            const inserted = await client.query(`
+        INSERT INTO sms_messages (survey_id, customer_id, direction, phone_number, provider, status)
+        VALUES ($1, $2, 'outbound', $3, $4, 'sending')
+        ON CONFLICT DO NOTHING
+        RETURNING id
+      `, [
+                surveyData.survey_id,
+                surveyData.customer_id,
+                DatabaseClient.normalizePhoneDigits(surveyData.client_phone_number),
+                provider
+            ]);
+
+            await client.query('COMMIT');
+
+            if (inserted.rows.length === 0) {
+                return null;
+            }
 
-            return row;
+            return { messageId: inserted.rows[0].id, surveyData };
 
         } catch (error) {
             await client.query('ROLLBACK');
@@ -120,7 +1994,7 @@ class DatabaseClient {
                 err: error,
                 shardIndex,
                 totalShards
-            }, 'Failed to get next survey response');
+            }, 'Failed to claim survey for SMS follow-up');
             throw error;
         } finally {
             client.release();
@@ -128,67 +2002,269 @@ class DatabaseClient {
     }
 
     /**
-     * Mark a survey response as sent to Retell
-     * @param {number} surveyId - The survey response ID
-     * @returns {Promise<boolean>} Success status
+     * Record that an SMS follow-up was accepted by the provider
+     * @param {number} messageId - sms_messages ID
+     * @param {Object} sent - Sent message
+     * @param {string} sent.body - Rendered message text
+     * @param {string} [sent.providerMessageId] - Provider's message ID
+     * @returns {Promise<void>}
      */
-    // async markAsSentToRetell(surveyId) {
-    //     const client = await this.pool.connect();
+    async markSmsSent(messageId, { body, providerMessageId }) {
+        try {
+            await this.pool.query(`
+        UPDATE sms_messages
+        SET status = 'sent',
+            body = $2,
+            provider_message_id = $3,
+            sent_at = NOW()
+        WHERE id = $1
+      `, [messageId, body, providerMessageId || null]);
 
-    //     try {
-    //         const query = `
-    //     UPDATE ${this.tableName} 
-    //     SET data_sent_to_retell = TRUE, updated_at = NOW() 
-    //     WHERE id = $1
-    //   `;
+        } catch (error) {
+            logger.error({ err: error, messageId }, 'Failed to mark SMS as sent');
+            throw error;
+        }
+    }
 
-    //         const result = await client.query(query, [surveyId]);
+    /**
+     * Record that an SMS follow-up could not be sent. It is not retried.
+     * @param {number} messageId - sms_messages ID
+     * @param {Object} failure - Failure details
+     * @param {string} failure.body - Rendered message text
+     * @param {string} failure.error - Error message
+     * @returns {Promise<void>}
+     */
+    async markSmsFailed(messageId, { body, error: message }) {
+        try {
+            await this.pool.query(`
+        UPDATE sms_messages
+        SET status = 'failed',
+            body = $2,
+            error = $3
+        WHERE id = $1
+      `, [messageId, body, message]);
 
-    //         if (result.rowCount === 0) {
-    //             logger.warn({ surveyId }, 'No rows updated when marking as sent to Retell');
-    //             return false;
-    //         }
+        } catch (error) {
+            logger.error({ err: error, messageId }, 'Failed to mark SMS as failed');
+            throw error;
+        }
+    }
 
-    //         logger.info({ surveyId }, 'Marked survey response as sent to Retell');
-    //         return true;
+    /**
+     * Find the SMS follow-up most recently sent to a phone number
+     * @param {string} phoneDigits - Normalized phone number (see normalizePhoneDigits)
+     * @returns {Promise<{survey_id: number, customer_id: number}|null>} Conversation, or null if none
+     */
+    async findSmsConversation(phoneDigits) {
+        try {
+            const result = await this.pool.query(`
+        SELECT survey_id, customer_id
+        FROM sms_messages
+        WHERE phone_number = $1
+          AND direction = 'outbound'
+          AND status = 'sent'
+        ORDER BY sent_at DESC
+        LIMIT 1
+      `, [phoneDigits]);
 
-    //     } catch (error) {
-    //         logger.error({
-    //             err: error,
-    //             surveyId
-    //         }, 'Failed to mark survey response as sent to Retell');
-    //         throw error;
-    //     } finally {
-    //         client.release();
-    //     }
-    // }
+            return result.rows[0] || null;
+
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to find SMS conversation');
+            throw error;
+        }
+    }
 
     /**
-     * Get survey response by ID for webhook processing
+     * Store an inbound SMS reply
+     * @param {Object} reply - Inbound message
+     * @param {number} [reply.surveyId] - Survey the reply belongs to, if known
+     * @param {number} [reply.customerId] - Customer the reply belongs to, if known
+     * @param {string} reply.phoneDigits - Normalized sender phone number
+     * @param {string} reply.body - Message text
+     * @param {string} reply.provider - SMS provider name
+     * @param {string} [reply.providerMessageId] - Provider's message ID
+     * @param {string} reply.intent - opt_out, call_me or none
+     * @returns {Promise<number>} sms_messages ID
+     */
+    async recordInboundSms({ surveyId, customerId, phoneDigits, body, provider, providerMessageId, intent }) {
+        try {
+            const result = await this.pool.query(`
+        INSERT INTO sms_messages (
+          survey_id, customer_id, direction, phone_number, body, provider, provider_message_id, status, intent, sent_at
+        )
+        VALUES ($1, $2, 'inbound', $3, $4, $5, $6, 'received', $7, NOW())
+        RETURNING id
+      `, [surveyId, customerId, phoneDigits, body, provider, providerMessageId || null, intent]);
+
+            return result.rows[0].id;
+
+        } catch (error) {
+            logger.error({ err: error, surveyId }, 'Failed to record inbound SMS');
+            throw error;
+        }
+    }
+
+    /**
+     * Surveys in this shard still waiting for a call whose priority is unscored,
+     * scored by another model, or older than rescoreAfterHours
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @param {string} model - Current scoring model hash
+     * @param {number} rescoreAfterHours - Age after which a score is recomputed
+     * @param {number} limit - Maximum number of surveys to return
+     * @returns {Promise<Object[]>} Surveys with the LEAD_SCORING_COLUMNS
+     */
+    async getSurveysPendingScoring(shardIndex, totalShards, model, rescoreAfterHours, limit) {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          ${LEAD_SCORING_SQL}
+        FROM ${this.tableName} sr
+        WHERE sr.processed IS NOT TRUE
+          AND sr.unreachable IS NOT TRUE
+          AND (
+            sr.priority_model IS DISTINCT FROM $3
+            OR sr.priority_scored_at < NOW() - make_interval(hours => $4)
+          )
+          AND (sr.id % $1) = ($2 - 1)
+        ORDER BY sr.priority_scored_at ASC NULLS FIRST
+        LIMIT $5
+      `, [totalShards, shardIndex, model, rescoreAfterHours, limit]);
+
+            return result.rows;
+
+        } catch (error) {
+            logger.error({ err: error, shardIndex, totalShards }, 'Failed to get surveys pending scoring');
+            throw error;
+        }
+    }
+
+    /**
+     * Store a survey's priority score
      * @param {number} surveyId - The survey response ID
-     * @returns {Promise<Object|null>} Survey response row or null if not found
+     * @param {number} score - Priority score
+     * @param {string} model - Scoring model hash
+     * @returns {Promise<void>}
      */
-    async getSurveyResponseById(surveyId) {
+    async savePriorityScore(surveyId, score, model) {
         try {
-            const query = `
-        SELECT id, customer_id, processed
-        FROM ${this.tableName}
+            await this.pool.query(`
+        UPDATE ${this.tableName}
+        SET priority_score = $2,
+            priority_model = $3,
+            priority_scored_at = NOW()
         WHERE id = $1
-      `;
+      `, [surveyId, score, model]);
 
-            const result = await this.pool.query(query, [surveyId]);
+        } catch (error) {
+            logger.error({ err: error, surveyId }, 'Failed to save priority score');
+            throw error;
+        }
+    }
 
-            if (result.rows.length === 0) {
-                return null;
+    /**
+     * Get a survey's scoring inputs and stored score
+     * @param {number} surveyId - The survey response ID
+     * @returns {Promise<Object|null>} Survey, or null if it doesn't exist
+     */
+    async getSurveyForScoring(surveyId) {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          ${LEAD_SCORING_SQL},
+          sr.priority_score,
+          sr.priority_model,
+          sr.priority_scored_at
+        FROM ${this.tableName} sr
+        WHERE sr.id = $1
+      `, [surveyId]);
+
+            return result.rows[0] || null;
+
+        } catch (error) {
+            logger.error({ err: error, surveyId }, 'Failed to get survey for scoring');
+            throw error;
+        }
+    }
+
+    /**
+     * Recent usage of each caller ID, counted across the whole cluster
+     * @param {string[]} fromNumbers - Caller IDs in the pool
+     * @param {number} answerRateWindowDays - Window for the answer rate, in days
+     * @returns {Promise<Object<string, Object>>} Caller ID -> usage statistics
+     */
+    async getFromNumberStats(fromNumbers, answerRateWindowDays) {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          from_number,
+          COUNT(*) FILTER (WHERE started_at > NOW() - INTERVAL '1 hour')::int   AS calls_last_hour,
+          COUNT(*) FILTER (WHERE started_at > NOW() - INTERVAL '24 hours')::int AS calls_last_day,
+          COUNT(*) FILTER (
+            WHERE call_id IS NOT NULL AND status IN ('ended', 'failed')
+          )::int                                                                AS recent_calls,
+          COUNT(*) FILTER (WHERE outcome = 'completed')::int                    AS recent_answered
+        FROM call_attempts
+        WHERE from_number = ANY($1::text[])
+          AND started_at > NOW() - GREATEST($2 * INTERVAL '1 day', INTERVAL '24 hours')
+        GROUP BY from_number
+      `, [fromNumbers, answerRateWindowDays]);
+
+            const stats = {};
+            for (const row of result.rows) {
+                stats[row.from_number] = {
+                    callsLastHour: row.calls_last_hour,
+                    callsLastDay: row.calls_last_day,
+                    recentCalls: row.recent_calls,
+                    recentAnswered: row.recent_answered
+                };
             }
 
-            return result.rows[0];
+            return stats;
 
         } catch (error) {
-            logger.error({
-                err: error,
-                surveyId
-            }, 'Failed to get survey response by ID');
+            logger.error({ err: error }, 'Failed to get caller ID statistics');
+            throw error;
+        }
+    }
+
+    /**
+     * Per-variant call statistics for comparing agent versions
+     * @returns {Promise<Object[]>} One row per agent variant
+     */
+    async getAgentVariantStats() {
+        try {
+            const result = await this.pool.query(`
+        SELECT
+          ca.agent_variant,
+          COUNT(*) FILTER (WHERE ca.call_id IS NOT NULL)::int          AS calls_placed,
+          COUNT(*) FILTER (WHERE ca.outcome = 'completed')::int        AS calls_connected,
+          COALESCE(AVG(ca.duration_ms) FILTER (WHERE ca.outcome = 'completed'), 0)::float
+                                                                       AS avg_duration_ms,
+          COUNT(DISTINCT ca.survey_id) FILTER (
+            WHERE ca.outcome = 'completed' AND sr.sent_to_odoo IS TRUE
+          )::int                                                       AS leads_created
+        FROM call_attempts ca
+        JOIN ${this.tableName} sr
+          ON sr.id = ca.survey_id
+        WHERE ca.agent_variant IS NOT NULL
+        GROUP BY ca.agent_variant
+        ORDER BY ca.agent_variant
+      `);
+
+            return result.rows.map(row => ({
+                variant: row.agent_variant,
+                callsPlaced: row.calls_placed,
+                callsConnected: row.calls_connected,
+                connectRate: row.calls_placed > 0 ? row.calls_connected / row.calls_placed : 0,
+                avgDurationSeconds: row.avg_duration_ms / 1000,
+                leadsCreated: row.leads_created,
+                leadConversionRate: row.calls_connected > 0 ? row.leads_created / row.calls_connected : 0
+            }));
+
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to get agent variant statistics');
             throw error;
         }
     }
@@ -234,68 +2310,105 @@ class DatabaseClient {
     }
 
     /**
-     * Get the next processed survey response for Odoo integration with sharding and row locking
+     * Claim the next processed survey responses in this shard for Odoo integration,
+     * oldest first. The leases are cleared by markAsSentToOdoo or releaseClaim('odoo', ...).
      * @param {number} shardIndex - 1-based shard index for this pod
      * @param {number} totalShards - Total number of shards (pods)
-     * @returns {Promise<Object|null>} Processed survey response row or null if none available
+     * @param {number} [limit] - Most surveys to claim
+     * @returns {Promise<Object[]>} Claimed survey response rows, empty if none available
      */
-    async getNextProcessedSurveyForOdoo(shardIndex, totalShards) {
-        const client = await this.pool.connect();
-
+    async getNextProcessedSurveysForOdoo(shardIndex, totalShards, limit = 1) {
         try {
-            await client.query('BEGIN');
-
-            // Query with sharding logic and row locking for processed surveys
+            // Pick and claim in one statement so no other pod or tick can take the same row
             const query = `
-          SELECT
-            sr.id                     AS survey_id,
-            sr.customer_id,
-            c.name                    AS customer_name,
-            c.email                   AS client_email,
-            c.phone_number            AS client_phone_number,
-            sr.call_summary           AS summary,
-            sr.created_at             AS survey_date
-          FROM survey_responses sr
-          JOIN customers c
-            ON c.id = sr.customer_id
-          WHERE
-            sr.processed = TRUE
-            AND sr.sent_to_odoo IS NOT TRUE
-            AND (sr.id % $1) = ($2 - 1)
-          ORDER BY sr.updated_at ASC
-          LIMIT 1
-          FOR UPDATE SKIP LOCKED
+          WITH candidate AS (
+            SELECT
+              sr.id                     AS survey_id,
+              sr.customer_id,
+              c.name                    AS customer_name,
+              c.email                   AS client_email,
+              c.phone_number            AS client_phone_number,
+              ca.call_summary           AS summary,
+              sr.created_at             AS survey_date,
+              ca.user_sentiment,
+              ca.call_successful,
+              ca.interested,
+              ca.meeting_requested,
+              ca.budget_confirmed,
+              ca.custom_analysis,
+              sr.updated_at
+            FROM survey_responses sr
+            JOIN customers c
+              ON c.id = sr.customer_id
+            -- the call that completed the survey; earlier voicemail or no-answer
+            -- attempts have analyses of their own that must not end up on the lead
+            LEFT JOIN LATERAL (
+              SELECT ended_at, analyzed_at, call_summary, user_sentiment, call_successful,
+                     interested, meeting_requested, budget_confirmed, custom_analysis
+              FROM call_attempts
+              WHERE survey_id = sr.id
+                AND outcome = 'completed'
+              ORDER BY started_at DESC
+              LIMIT 1
+            ) ca ON TRUE
+            WHERE
+              sr.processed = TRUE
+              AND sr.sent_to_odoo IS NOT TRUE
+              -- give Retell time to deliver call_analyzed for that call before syncing without it
+              AND (
+                ca.analyzed_at IS NOT NULL
+                OR COALESCE(ca.ended_at, sr.updated_at) < NOW() - INTERVAL '10 minutes'
+              )
+              AND (sr.id % $1) = ($2 - 1)
+              -- claimed by no pod, or by one that stopped renewing its lease
+              AND (sr.odoo_claimed_until IS NULL OR sr.odoo_claimed_until < NOW())
+              AND sr.odoo_dead_lettered_at IS NULL
+              -- backing off after a failed sync
+              AND (sr.odoo_next_attempt_at IS NULL OR sr.odoo_next_attempt_at <= NOW())
+            ORDER BY sr.updated_at ASC
+            LIMIT $5
+            FOR UPDATE OF sr SKIP LOCKED
+          ), claimed AS (
+            UPDATE ${this.tableName} s
+            SET odoo_claimed_by = $3,
+                odoo_claimed_until = NOW() + make_interval(secs => $4)
+            FROM candidate
+            WHERE s.id = candidate.survey_id
+            RETURNING candidate.*
+          )
+          SELECT *
+          FROM claimed
+          ORDER BY updated_at ASC
         `;
 
-            const result = await client.query(query, [totalShards, shardIndex]);
-
-            await client.query('COMMIT');
+            const result = await this.pool.query(query, [
+                totalShards,
+                shardIndex,
+                this.claimOwner,
+                this.claimLeaseMs / 1000,
+                limit
+            ]);
 
             if (result.rows.length === 0) {
                 logger.debug({ shardIndex, totalShards }, 'No processed survey responses found for Odoo integration');
-                return null;
+                return [];
             }
 
-            const row = result.rows[0];
             logger.info({
-                surveyId: row.survey_id,
+                surveyIds: result.rows.map(row => row.survey_id),
                 shardIndex,
-                totalShards,
-                customerName: row.customer_name
-            }, 'Retrieved processed survey response for Odoo integration');
+                totalShards
+            }, 'Claimed processed survey responses for Odoo integration');
 
-            return row;
+            return result.rows;
 
         } catch (error) {
-            await client.query('ROLLBACK');
             logger.error({
                 err: error,
                 shardIndex,
                 totalShards
-            }, 'Failed to get next processed survey response for Odoo');
+            }, 'Failed to get next processed survey responses for Odoo');
             throw error;
-        } finally {
-            client.release();
         }
     }
 
@@ -310,7 +2423,10 @@ class DatabaseClient {
         try {
             const query = `
           UPDATE ${this.tableName}
-          SET sent_to_odoo = TRUE, updated_at = NOW()
+          SET sent_to_odoo = TRUE,
+              odoo_claimed_by = NULL,
+              odoo_claimed_until = NULL,
+              updated_at = NOW()
           WHERE id = $1
         `;
 
@@ -335,10 +2451,277 @@ class DatabaseClient {
         }
     }
 
+    /**
+     * Claim the next survey in this shard whose call completed and whose customer
+     * has not been emailed a follow-up yet (or whose last send failed temporarily).
+     * The claim sets follow_up_email_status to 'sending' and counts the attempt;
+     * markFollowUpEmailSent or markFollowUpEmailFailed replace it. A claim left in
+     * 'sending' for longer than claimTimeoutMs, e.g. by a pod that died mid-send,
+     * is taken over.
+     * @param {number} shardIndex - 1-based shard index for this pod
+     * @param {number} totalShards - Total number of shards (pods)
+     * @param {number} maxAttempts - Send attempts before a failed email is given up on
+     * @param {number} maxAgeHours - Skip calls that ended longer ago than this
+     * @param {number} claimTimeoutMs - How long a send may take before its claim is taken over
+     * @returns {Promise<Object|null>} Survey and call analysis, or null if none available
+     */
+    async getNextSurveyForFollowUpEmail(shardIndex, totalShards, maxAttempts, maxAgeHours, claimTimeoutMs) {
+        try {
+            // Pick and claim in one statement so no other pod or tick can email the same customer
+            const query = `
+        WITH candidate AS (
+          SELECT
+            sr.id                     AS survey_id,
+            sr.customer_id,
+            c.name                    AS customer_name,
+            c.email                   AS client_email,
+            sr.business_type,
+            sr.employee_count,
+            sr.automation_area,
+            sr.one_task_to_automate,
+            sr.hours_to_save,
+            sr.growth_obstacle,
+            sr.important_outcome,
+            sr.created_at             AS survey_date,
+            sr.call_summary           AS summary,
+            ca.interested,
+            ca.meeting_requested,
+            ca.budget_confirmed
+          FROM survey_responses sr
+          JOIN customers c
+            ON c.id = sr.customer_id
+          -- the call that completed the survey
+          JOIN LATERAL (
+            SELECT ended_at, analyzed_at, interested, meeting_requested, budget_confirmed
+            FROM call_attempts
+            WHERE survey_id = sr.id
+              AND outcome = 'completed'
+            ORDER BY started_at DESC
+            LIMIT 1
+          ) ca ON TRUE
+          WHERE
+            sr.processed = TRUE
+            AND (
+              sr.follow_up_email_status IS NULL
+              OR (
+                sr.follow_up_email_status = 'failed'
+                AND sr.follow_up_email_attempts < $3
+                AND sr.follow_up_email_attempted_at < NOW() - INTERVAL '10 minutes'
+              )
+              -- a send that never reported back
+              OR (
+                sr.follow_up_email_status = 'sending'
+                AND sr.follow_up_email_attempts < $3
+                AND sr.follow_up_email_attempted_at < NOW() - make_interval(secs => $5)
+              )
+            )
+            AND c.email IS NOT NULL
+            AND c.email <> ''
+            AND ca.ended_at > NOW() - make_interval(hours => $4)
+            -- wait for call_analyzed so the email has a summary and the right template
+            AND (ca.analyzed_at IS NOT NULL OR ca.ended_at < NOW() - INTERVAL '10 minutes')
+            AND NOT EXISTS (
+              SELECT 1
+              FROM do_not_call dnc
+              WHERE dnc.customer_id = c.id
+            )
+            AND (sr.id % $1) = ($2 - 1)
+          ORDER BY ca.ended_at ASC
+          LIMIT 1
+          FOR UPDATE OF sr SKIP LOCKED
+        )
+        UPDATE ${this.tableName} s
+        SET follow_up_email_status = 'sending',
+            follow_up_email_attempts = s.follow_up_email_attempts + 1,
+            follow_up_email_attempted_at = NOW()
+        FROM candidate
+        WHERE s.id = candidate.survey_id
+        RETURNING candidate.*
+      `;
+
+            const result = await this.pool.query(query, [
+                totalShards,
+                shardIndex,
+                maxAttempts,
+                maxAgeHours,
+                claimTimeoutMs / 1000
+            ]);
+
+            if (result.rows.length === 0) {
+                logger.debug({ shardIndex, totalShards }, 'No surveys waiting for a follow-up email');
+                return null;
+            }
+
+            return result.rows[0];
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                shardIndex,
+                totalShards
+            }, 'Failed to get next survey for follow-up email');
+            throw error;
+        }
+    }
+
+    /**
+     * Record that a survey's follow-up email was accepted by the SMTP server
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} sent - Sent email
+     * @param {string} sent.template - Template used
+     * @param {string} [sent.messageId] - SMTP Message-ID
+     * @returns {Promise<void>}
+     */
+    async markFollowUpEmailSent(surveyId, { template, messageId }) {
+        try {
+            await this.pool.query(`
+          UPDATE ${this.tableName}
+          SET follow_up_email_status = 'sent',
+              follow_up_email_template = $2,
+              follow_up_email_message_id = $3,
+              follow_up_email_error = NULL,
+              follow_up_email_attempted_at = NOW(),
+              follow_up_email_sent_at = NOW()
+          WHERE id = $1
+        `, [surveyId, template, messageId || null]);
+
+        } catch (error) {
+            logger.error({ err: error, surveyId }, 'Failed to mark follow-up email as sent');
+            throw error;
+        }
+    }
+
+    /**
+     * Record a failed follow-up email. Temporary failures are retried after ten
+     * minutes, up to the attempt limit; permanent ones (status rejected) are not.
+     * @param {number} surveyId - The survey response ID
+     * @param {Object} failure - Failure details
+     * @param {string} failure.template - Template used
+     * @param {string} failure.error - Error message
+     * @param {boolean} failure.permanent - Whether the SMTP server rejected the email outright
+     * @returns {Promise<void>}
+     */
+    async markFollowUpEmailFailed(surveyId, { template, error: message, permanent }) {
+        try {
+            await this.pool.query(`
+          UPDATE ${this.tableName}
+          SET follow_up_email_status = $2,
+              follow_up_email_template = $3,
+              follow_up_email_error = $4,
+              follow_up_email_attempted_at = NOW()
+          WHERE id = $1
+        `, [surveyId, permanent ? 'rejected' : 'failed', template, message]);
+
+        } catch (error) {
+            logger.error({ err: error, surveyId }, 'Failed to mark follow-up email as failed');
+            throw error;
+        }
+    }
+
+    /**
+     * Keep a dedicated connection LISTENing for the survey_queue notifications
+     * sent by the queue triggers, reconnecting with backoff when it drops.
+     * onQueueChange is called with 'call' or 'odoo' for each notification, and
+     * with both after a reconnect since notifications sent while disconnected are lost.
+     * @param {Function} onQueueChange - Called with the name of the queue that changed
+     */
+    async listenForQueueChanges(onQueueChange) {
+        this.listening = true;
+        this.onQueueChange = onQueueChange;
+        await this.connectListener(false);
+    }
+
+    /**
+     * Open the LISTEN connection; on failure schedule another try
+     * @param {boolean} reconnecting - Whether this replaces a dropped connection
+     */
+    async connectListener(reconnecting) {
+        const client = new Client({ ...this.connectionConfig, keepAlive: true });
+
+        const dropped = (error) => {
+            if (this.listener !== client) {
+                return;
+            }
+            this.listener = null;
+            client.removeAllListeners();
+            client.on('error', () => {});
+            client.end().catch(() => {});
+
+            if (this.listening) {
+                logger.warn({ err: error, retryMs: this.listenerRetryMs }, 'Queue listener disconnected - reconnecting');
+                this.scheduleListenerReconnect();
+            }
+        };
+
+        client.on('notification', (message) => {
+            if (message.channel === 'survey_queue' && ['call', 'odoo'].includes(message.payload)) {
+                this.onQueueChange(message.payload);
+            }
+        });
+        client.on('error', dropped);
+        client.on('end', () => dropped(new Error('Connection ended')));
+
+        try {
+            this.listener = client;
+            await client.connect();
+            await client.query('LISTEN survey_queue');
+
+            this.listenerRetryMs = 1000;
+            logger.info({ reconnecting }, 'Listening for survey queue notifications');
+
+            if (reconnecting) {
+                this.onQueueChange('call');
+                this.onQueueChange('odoo');
+            }
+
+        } catch (error) {
+            if (this.listener === client) {
+                dropped(error);
+            }
+        }
+    }
+
+    /**
+     * Try the LISTEN connection again after the current backoff, doubling it up to 30s
+     */
+    scheduleListenerReconnect() {
+        clearTimeout(this.listenerReconnectTimer);
+        this.listenerReconnectTimer = setTimeout(() => {
+            this.listenerReconnectTimer = null;
+            if (this.listening) {
+                this.connectListener(true);
+            }
+        }, this.listenerRetryMs);
+        this.listenerRetryMs = Math.min(this.listenerRetryMs * 2, 30000);
+    }
+
+    /**
+     * Close the LISTEN connection and stop reconnecting it
+     */
+    async stopListening() {
+        this.listening = false;
+        clearTimeout(this.listenerReconnectTimer);
+        this.listenerReconnectTimer = null;
+
+        const client = this.listener;
+        this.listener = null;
+        if (client) {
+            client.removeAllListeners();
+            client.on('error', () => {});
+            await client.end().catch(() => {});
+        }
+    }
+
     async close() {
+        await this.stopListening();
         await this.pool.end();
         logger.info('Database connection pool closed');
     }
 }
 
+DatabaseClient.SURVEY_QUEUE_COLUMNS = SURVEY_QUEUE_COLUMNS;
+DatabaseClient.FOLLOW_UP_EMAIL_COLUMNS = FOLLOW_UP_EMAIL_COLUMNS;
+DatabaseClient.LEAD_SCORING_COLUMNS = LEAD_SCORING_COLUMNS;
+DatabaseClient.DEAD_LETTER_STAGES = DEAD_LETTER_STAGES;
+
 module.exports = DatabaseClient;
\ No newline at end of file
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_MAPPING_FILE = path.join(__dirname, '..', 'config', 'dynamic-variables.json');
+
+// {{column}} or {{column|formatter}}
+const TEMPLATE_PATTERN = /\{\{\s*([a-z0-9_]+)\s*(?:\|\s*([a-z]+)\s*)?\}\}/gi;
+
+const FORMATTERS = {
+    /**
+     * Format a date, e.g. "October 19, 2026"
+     */
+    date(value, { locale = 'en-US', dateStyle = 'long', timeZone } = {}) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            return String(value);
+        }
+        return new Intl.DateTimeFormat(locale, { dateStyle, timeZone }).format(date);
+    },
+
+    /**
+     * Format a number as currency; non-numeric values (e.g. "$1M-$5M") pass through unchanged
+     */
+    currency(value, { locale = 'en-US', currency = 'USD', maximumFractionDigits = 0 } = {}) {
+        const amount = typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+        if (!Number.isFinite(amount)) {
+            return String(value);
+        }
+        return new Intl.NumberFormat(locale, { style: 'currency', currency, maximumFractionDigits }).format(amount);
+    },
+
+    /**
+     * Cut long free-text answers down to size
+     */
+    truncate(value, { maxLength = 300 } = {}) {
+        const text = String(value);
+        return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+    }
+};
+
+class DynamicVariableMapper {
+    /**
+     * @param {string[]} availableColumns - Columns returned by the survey queue query
+     * @param {string} [filePath] - Mapping file, defaults to RETELL_VARIABLES_FILE or config/dynamic-variables.json
+     */
+    constructor(availableColumns, filePath = process.env.RETELL_VARIABLES_FILE || DEFAULT_MAPPING_FILE) {
+        this.filePath = filePath;
+        this.variables = DynamicVariableMapper.load(filePath);
+
+        this.validate(availableColumns);
+
+        logger.info({
+            filePath,
+            variables: Object.keys(this.variables)
+        }, 'Loaded Retell dynamic variable mapping');
+    }
+
+    /**
+     * Read the mapping file
+     * @param {string} filePath - Path to the JSON mapping file
+     * @returns {Object} Variable name -> definition
+     */
+    static load(filePath) {
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load dynamic variable mapping from ${filePath}: ${error.message}`);
+        }
+
+        if (!parsed || typeof parsed.variables !== 'object' || Array.isArray(parsed.variables)) {
+            throw new Error(`Dynamic variable mapping ${filePath} must contain a "variables" object`);
+        }
+
+        return parsed.variables;
+    }
+
+    /**
+     * Check every definition is well-formed and only references columns the queue query selects
+     * @param {string[]} availableColumns - Columns returned by the survey queue query
+     */
+    validate(availableColumns) {
+        const problems = [];
+
+        for (const [name, definition] of Object.entries(this.variables)) {
+            const { source, template, format } = definition || {};
+
+            if (!source === !template) {
+                problems.push(`${name}: exactly one of "source" or "template" is required`);
+                continue;
+            }
+
+            if (format && !FORMATTERS[format]) {
+                problems.push(`${name}: unknown format "${format}"`);
+            }
+
+            if (source && !availableColumns.includes(source)) {
+                problems.push(`${name}: unknown column "${source}"`);
+            }
+
+            if (template) {
+                problems.push(...DynamicVariableMapper.validateTemplate(template, availableColumns)
+                    .map(problem => `${name}: ${problem}`));
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid dynamic variable mapping in ${this.filePath}:\n  ${problems.join('\n  ')}`);
+        }
+    }
+
+    /**
+     * Check a {{column|format}} template against the queue columns
+     * @param {string} template - Template text
+     * @param {string[]} availableColumns - Columns returned by the survey queue query
+     * @returns {string[]} Problems found, empty if the template is valid
+     */
+    static validateTemplate(template, availableColumns) {
+        const problems = [];
+
+        for (const [, column, templateFormat] of template.matchAll(TEMPLATE_PATTERN)) {
+            if (!availableColumns.includes(column)) {
+                problems.push(`template references unknown column "${column}"`);
+            }
+            if (templateFormat && !FORMATTERS[templateFormat]) {
+                problems.push(`template uses unknown format "${templateFormat}"`);
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Fill a {{column|format}} template from survey data; missing values render empty
+     * @param {string} template - Template text
+     * @param {Object} surveyData - Survey row from the queue query
+     * @returns {string} Rendered text
+     */
+    static renderTemplate(template, surveyData) {
+        return template.replace(TEMPLATE_PATTERN, (match, column, templateFormat) =>
+            DynamicVariableMapper.formatValue(surveyData[column], templateFormat) ?? '');
+    }
+
+    /**
+     * Apply a formatter to a value, leaving missing values alone
+     */
+    static formatValue(value, format, options) {
+        if (value === null || value === undefined || value === '') {
+            return null;
+        }
+        return format ? FORMATTERS[format](value, options) : String(value);
+    }
+
+    /**
+     * Build the retell_llm_dynamic_variables object for a survey
+     * @param {Object} surveyData - Survey row from the queue query
+     * @returns {Object<string, string>} Variable name -> string value
+     */
+    build(surveyData) {
+        const result = {};
+
+        for (const [name, definition] of Object.entries(this.variables)) {
+            const { source, template, format, options, default: fallback = '' } = definition;
+            let value;
+
+            if (source) {
+                value = DynamicVariableMapper.formatValue(surveyData[source], format, options);
+            } else {
+                value = DynamicVariableMapper.renderTemplate(template, surveyData);
+                value = format ? DynamicVariableMapper.formatValue(value, format, options) : value;
+            }
+
+            result[name] = value === null || value === undefined || value === '' ? String(fallback) : value;
+        }
+
+        return result;
+    }
+}
+
+module.exports = DynamicVariableMapper;
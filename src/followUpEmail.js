@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+const DatabaseClient = require('./db');
+const DynamicVariableMapper = require('./dynamicVariables');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, '..', 'config', 'email-templates.json');
+
+// Outcomes with their own template, most specific first; anything else uses "default"
+const OUTCOMES = ['meeting_requested', 'interested'];
+
+class FollowUpEmail {
+    /**
+     * @param {DatabaseClient} dbClient - Database client
+     * @param {string} [templatesFile] - Template file, defaults to EMAIL_TEMPLATES_FILE or config/email-templates.json
+     */
+    constructor(dbClient, templatesFile = process.env.EMAIL_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE) {
+        this.dbClient = dbClient;
+        this.templatesFile = templatesFile;
+
+        this.from = process.env.EMAIL_FROM;
+        this.replyTo = process.env.EMAIL_REPLY_TO || undefined;
+        this.bookingUrl = process.env.EMAIL_BOOKING_URL || '';
+        this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+        // Calls that ended longer ago than this never get an email, e.g. on first rollout
+        this.maxAgeHours = parseInt(process.env.EMAIL_MAX_AGE_HOURS, 10) || 72;
+        this.batchSize = parseInt(process.env.EMAIL_BATCH_SIZE, 10) || 10;
+        // A claimed email still unsent after this long, e.g. because its pod died, is retried
+        this.claimTimeoutMs = parseInt(process.env.EMAIL_CLAIM_TIMEOUT_MS, 10) || 600000;
+
+        const missing = [
+            ['SMTP_HOST', process.env.SMTP_HOST],
+            ['EMAIL_FROM', this.from]
+        ].filter(([, value]) => !value).map(([name]) => name);
+
+        if (missing.length > 0) {
+            throw new Error(`Missing required follow-up email environment variables: ${missing.join(', ')}`);
+        }
+
+        this.templates = FollowUpEmail.load(templatesFile);
+        this.validate();
+
+        const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+        this.transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? {
+                user: process.env.SMTP_USER,
+                pass: process.env.SMTP_PASSWORD
+            } : undefined,
+            connectionTimeout: 10000,
+            socketTimeout: 30000
+        });
+
+        logger.info({
+            host: process.env.SMTP_HOST,
+            port,
+            from: this.from,
+            templates: Object.keys(this.templates)
+        }, 'Follow-up email configured');
+    }
+
+    /**
+     * Read the template file. Template text may be a string or an array of lines.
+     * @param {string} filePath - Path to the JSON template file
+     * @returns {Object<string, {subject: string, text: string}>} Outcome -> template
+     */
+    static load(filePath) {
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load email templates from ${filePath}: ${error.message}`);
+        }
+
+        if (!parsed || typeof parsed.templates !== 'object' || Array.isArray(parsed.templates)) {
+            throw new Error(`Email template file ${filePath} must contain a "templates" object`);
+        }
+
+        const templates = {};
+        for (const [outcome, template] of Object.entries(parsed.templates)) {
+            templates[outcome] = {
+                subject: template?.subject,
+                text: Array.isArray(template?.text) ? template.text.join('\n') : template?.text
+            };
+        }
+
+        return templates;
+    }
+
+    /**
+     * Check every template is complete and only references columns the email query selects
+     */
+    validate() {
+        const availableColumns = [...DatabaseClient.FOLLOW_UP_EMAIL_COLUMNS, 'booking_link'];
+        const problems = [];
+
+        if (!this.templates.default) {
+            problems.push('a "default" template is required');
+        }
+
+        for (const [outcome, { subject, text }] of Object.entries(this.templates)) {
+            if (![...OUTCOMES, 'default'].includes(outcome)) {
+                problems.push(`${outcome}: unknown outcome, expected one of ${[...OUTCOMES, 'default'].join(', ')}`);
+            }
+
+            if (typeof subject !== 'string' || typeof text !== 'string') {
+                problems.push(`${outcome}: "subject" and "text" are required`);
+                continue;
+            }
+
+            problems.push(...DynamicVariableMapper.validateTemplate(`${subject}\n${text}`, availableColumns)
+                .map(problem => `${outcome}: ${problem}`));
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid email templates in ${this.templatesFile}:\n  ${problems.join('\n  ')}`);
+        }
+    }
+
+    /**
+     * Pick the template for a call's outcome
+     * @param {Object} survey - Row from getNextSurveyForFollowUpEmail
+     * @returns {string} Outcome name
+     */
+    static outcome(survey) {
+        if (survey.meeting_requested) {
+            return 'meeting_requested';
+        }
+        if (survey.interested) {
+            return 'interested';
+        }
+        return 'default';
+    }
+
+    /**
+     * Render the follow-up email for a survey
+     * @param {Object} survey - Row from getNextSurveyForFollowUpEmail
+     * @returns {{template: string, subject: string, text: string}} Rendered email
+     */
+    render(survey) {
+        const outcome = FollowUpEmail.outcome(survey);
+        const template = this.templates[outcome] || this.templates.default;
+        const data = { ...survey, booking_link: this.bookingUrl };
+
+        return {
+            template: this.templates[outcome] ? outcome : 'default',
+            // Header values must stay on one line
+            subject: DynamicVariableMapper.renderTemplate(template.subject, data).replace(/\s+/g, ' ').trim(),
+            text: DynamicVariableMapper.renderTemplate(template.text, data)
+        };
+    }
+
+    /**
+     * Email the customers in this shard whose call completed and who have not had a follow-up yet
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @returns {Promise<{sent: number, failed: number}>} Batch statistics
+     */
+    async sendPending(shardIndex, totalShards) {
+        const stats = { sent: 0, failed: 0 };
+
+        for (let i = 0; i < this.batchSize; i++) {
+            const survey = await this.dbClient.getNextSurveyForFollowUpEmail(
+                shardIndex,
+                totalShards,
+                this.maxAttempts,
+                this.maxAgeHours,
+                this.claimTimeoutMs
+            );
+
+            if (!survey) {
+                break;
+            }
+
+            const email = this.render(survey);
+
+            try {
+                const info = await this.transport.sendMail({
+                    from: this.from,
+                    replyTo: this.replyTo,
+                    to: survey.client_email,
+                    subject: email.subject,
+                    text: email.text
+                });
+
+                await this.dbClient.markFollowUpEmailSent(survey.survey_id, {
+                    template: email.template,
+                    messageId: info.messageId
+                });
+                stats.sent++;
+
+                logger.info({
+                    surveyId: survey.survey_id,
+                    template: email.template,
+                    messageId: info.messageId
+                }, 'Sent follow-up email');
+
+            } catch (error) {
+                // 5xx replies (unknown mailbox, rejected sender) will not succeed on retry
+                const permanent = error.responseCode >= 500;
+                stats.failed++;
+
+                logger.error({
+                    err: error,
+                    surveyId: survey.survey_id,
+                    template: email.template,
+                    permanent
+                }, 'Failed to send follow-up email');
+
+                await this.dbClient.markFollowUpEmailFailed(survey.survey_id, {
+                    template: email.template,
+                    error: error.message,
+                    permanent
+                });
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Close pooled SMTP connections
+     */
+    close() {
+        this.transport.close();
+    }
+}
+
+module.exports = FollowUpEmail;
@@ -0,0 +1,121 @@
+const logger = require('./logger');
+
+// ITU country calling codes that are two digits long; 1 and 7 are the only
+// single-digit codes and everything else is three digits.
+const TWO_DIGIT_CALLING_CODES = new Set([
+    '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47',
+    '48', '49', '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65',
+    '66', '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]);
+
+class FromNumberPool {
+    constructor(dbClient) {
+        this.dbClient = dbClient;
+
+        const configured = process.env.RETELL_FROM_NUMBERS || process.env.RETELL_FROM_NUMBER || '+17787691188';
+        this.numbers = configured.split(',').map(number => number.trim()).filter(Boolean);
+
+        this.hourlyCap = parseInt(process.env.FROM_NUMBER_HOURLY_CAP, 10) || 20;
+        this.dailyCap = parseInt(process.env.FROM_NUMBER_DAILY_CAP, 10) || 100;
+        this.minAnswerRate = parseFloat(process.env.FROM_NUMBER_MIN_ANSWER_RATE) || 0.15;
+        this.minAnswerRateSample = parseInt(process.env.FROM_NUMBER_MIN_SAMPLE, 10) || 20;
+        this.answerRateWindowDays = parseInt(process.env.FROM_NUMBER_ANSWER_RATE_DAYS, 10) || 7;
+
+        const invalid = this.numbers.filter(number => !/^\+\d{8,15}$/.test(number));
+        if (invalid.length > 0) {
+            throw new Error(`Caller IDs must be E.164 numbers: ${invalid.join(', ')}`);
+        }
+
+        logger.info({
+            numbers: this.numbers.length,
+            hourlyCap: this.hourlyCap,
+            dailyCap: this.dailyCap,
+            minAnswerRate: this.minAnswerRate
+        }, 'Caller ID pool configured');
+    }
+
+    /**
+     * Country calling code and (for North America) area code of a phone number
+     * @param {string} phoneNumber - Phone number in any format
+     * @returns {{countryCode: string|null, areaCode: string|null}} Parsed prefix
+     */
+    static parsePrefix(phoneNumber) {
+        let digits = String(phoneNumber || '').replace(/[^0-9]/g, '');
+
+        // Bare 10-digit numbers are North American
+        if (digits.length === 10) {
+            digits = `1${digits}`;
+        }
+
+        if (digits.length < 8) {
+            return { countryCode: null, areaCode: null };
+        }
+
+        if (digits.startsWith('1')) {
+            return { countryCode: '1', areaCode: digits.slice(1, 4) };
+        }
+
+        if (digits.startsWith('7')) {
+            return { countryCode: '7', areaCode: null };
+        }
+
+        const countryCode = TWO_DIGIT_CALLING_CODES.has(digits.slice(0, 2)) ? digits.slice(0, 2) : digits.slice(0, 3);
+        return { countryCode, areaCode: null };
+    }
+
+    /**
+     * Whether a number's recent answer rate is bad enough to rest it
+     * @param {Object} stats - Usage statistics for the number
+     * @returns {boolean} True if the number should be rotated out
+     */
+    isUnderperforming(stats) {
+        return stats.recentCalls >= this.minAnswerRateSample &&
+            stats.recentAnswered / stats.recentCalls < this.minAnswerRate;
+    }
+
+    /**
+     * Pick the caller ID for a call: a number under its caps, preferring
+     * healthy numbers with the customer's area code, then country, and the
+     * least-used number within that tier.
+     * @param {string} toNumber - Customer phone number
+     * @returns {Promise<string>} Caller ID to dial from
+     */
+    async select(toNumber) {
+        const stats = await this.dbClient.getFromNumberStats(this.numbers, this.answerRateWindowDays);
+
+        const available = this.numbers
+            .map(number => ({
+                number,
+                ...FromNumberPool.parsePrefix(number),
+                ...(stats[number] || { callsLastHour: 0, callsLastDay: 0, recentCalls: 0, recentAnswered: 0 })
+            }))
+            .filter(candidate => candidate.callsLastHour < this.hourlyCap && candidate.callsLastDay < this.dailyCap);
+
+        if (available.length === 0) {
+            throw new Error('All caller IDs have reached their call caps');
+        }
+
+        let candidates = available.filter(candidate => !this.isUnderperforming(candidate));
+        if (candidates.length === 0) {
+            logger.warn({ numbers: available.length }, 'All available caller IDs have a low answer rate - using them anyway');
+            candidates = available;
+        }
+
+        const target = FromNumberPool.parsePrefix(toNumber);
+        const localMatches = candidates.filter(candidate => target.areaCode && candidate.areaCode === target.areaCode);
+        const countryMatches = candidates.filter(candidate => target.countryCode && candidate.countryCode === target.countryCode);
+        const tier = localMatches.length > 0 ? localMatches : (countryMatches.length > 0 ? countryMatches : candidates);
+
+        const selected = tier.reduce((best, candidate) => (candidate.callsLastDay < best.callsLastDay ? candidate : best));
+
+        logger.debug({
+            fromNumber: selected.number,
+            match: localMatches.length > 0 ? 'area_code' : (countryMatches.length > 0 ? 'country' : 'none'),
+            callsLastDay: selected.callsLastDay
+        }, 'Selected caller ID');
+
+        return selected.number;
+    }
+}
+
+module.exports = FromNumberPool;
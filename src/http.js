@@ -1,15 +1,30 @@
+const crypto = require('crypto');
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
 const logger = require('./logger');
+const DatabaseClient = require('./db');
 
 class HttpServer {
-    constructor(dbClient, retellClient, shardingManager, odooService = null) {
+    constructor(
+        dbClient,
+        retellClient,
+        shardingManager,
+        odooService = null,
+        recordingArchive = null,
+        smsFallback = null,
+        leadScorer = null,
+        workerPools = []
+    ) {
         this.app = express();
         this.dbClient = dbClient;
         this.retellClient = retellClient;
         this.shardingManager = shardingManager;
         this.odooService = odooService;
+        this.recordingArchive = recordingArchive;
+        this.smsFallback = smsFallback;
+        this.leadScorer = leadScorer;
+        this.workerPools = workerPools;
         this.server = null;
 
         this.setupMiddleware();
@@ -30,7 +45,13 @@ class HttpServer {
         }));
 
         // Body parsing
-        this.app.use(express.json({ limit: '10mb' }));
+        this.app.use(express.json({
+            limit: '10mb',
+            // Keep the raw body around for Retell webhook signature verification
+            verify: (req, res, buf) => {
+                req.rawBody = buf.toString('utf8');
+            }
+        }));
         this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
         // Request logging
@@ -63,7 +84,49 @@ class HttpServer {
         this.app.get('/metrics', this.metricsEndpoint.bind(this));
 
         // Retell webhook endpoint
-        // this.app.post('/retell/webhook', this.handleRetellWebhook.bind(this));
+        this.app.post('/retell/webhook', this.handleRetellWebhook.bind(this));
+
+        // Admin endpoints (only when an admin token is configured)
+        if (process.env.ADMIN_API_TOKEN) {
+            const admin = express.Router();
+            admin.use(this.requireAdminToken.bind(this));
+
+            admin.get('/do-not-call', this.listDoNotCall.bind(this));
+            admin.post('/do-not-call', this.addDoNotCall.bind(this));
+            admin.delete('/do-not-call/:id', this.removeDoNotCall.bind(this));
+
+            admin.get('/dead-letters/:stage', this.listDeadLetters.bind(this));
+            admin.get('/dead-letters/:stage/:surveyId', this.getDeadLetter.bind(this));
+            admin.post('/dead-letters/:stage/requeue', this.requeueDeadLetters.bind(this));
+            admin.post('/dead-letters/:stage/:surveyId/requeue', this.requeueDeadLetters.bind(this));
+
+            this.app.use('/admin', admin);
+
+            // Per-variant results and spend are business data, so they need the admin token too
+            this.app.get('/experiments', this.requireAdminToken.bind(this), this.experimentsEndpoint.bind(this));
+            this.app.get('/costs', this.requireAdminToken.bind(this), this.costsEndpoint.bind(this));
+
+            // Transcripts contain what customers said, so search needs the admin token too
+            this.app.get('/calls/search', this.requireAdminToken.bind(this), this.searchCalls.bind(this));
+
+            if (this.leadScorer) {
+                this.app.get('/surveys/:id/priority', this.requireAdminToken.bind(this), this.explainPriority.bind(this));
+            }
+
+            if (this.recordingArchive) {
+                this.app.get('/calls/:callId/recording', this.requireAdminToken.bind(this), this.recordingLink.bind(this));
+            }
+        }
+
+        // Signed recording downloads; the signature stands in for the admin token
+        if (this.recordingArchive) {
+            this.app.get('/recordings/:callId', this.downloadRecording.bind(this));
+        }
+
+        // Replies to SMS follow-ups, forwarded by the SMS provider
+        if (this.smsFallback && process.env.SMS_INBOUND_TOKEN) {
+            this.app.post('/sms/inbound', this.handleInboundSms.bind(this));
+        }
 
         // Debug endpoints (only in development)
         if (process.env.NODE_ENV === 'development') {
@@ -204,14 +267,16 @@ class HttpServer {
                 shard: shardStats,
                 activeCalls: activeCallsCount,
                 activeSurveys: activeSurveysCount,
+                workers: this.workerPools.map(pool => pool.getStats()),
                 odoo: odooStatus,
                 memory: process.memoryUsage(),
                 config: {
-                    scanInterval: process.env.SCAN_INTERVAL_MS || 10000,
-                    odooScanInterval: process.env.ODOO_SCAN_INTERVAL_MS || 15000,
+                    scanInterval: process.env.SCAN_INTERVAL_MS || 30000,
+                    odooScanInterval: process.env.ODOO_SCAN_INTERVAL_MS || 60000,
                     dbHost: process.env.DB_HOST,
                     dbName: process.env.DB_NAME,
-                    retellFromNumber: process.env.RETELL_FROM_NUMBER || '+17787691188',
+                    retellFromNumbers: this.retellClient.fromNumberPool.numbers,
+                    callLimits: this.retellClient.callLimits,
                     odooUrl: process.env.ODOO_URL || 'not configured'
                 }
             };
@@ -235,6 +300,17 @@ class HttpServer {
             const activeCallsCount = this.retellClient.getActiveCallsCount();
             const activeSurveysCount = this.retellClient.getActiveSurveysCount();
             const memUsage = process.memoryUsage();
+            // Variant stats need the database; don't fail the whole scrape if it's unavailable
+            const variantStats = await this.dbClient.getAgentVariantStats().catch(() => []);
+            const spendBudget = this.retellClient.spendBudget;
+            const spend = await spendBudget.getStatus().catch(() => null);
+            const costStats = await this.dbClient.getCallCostStats(1, spendBudget.timeZone)
+                .catch(() => ({ byAgent: [], byCampaign: [] }));
+            const queueDepths = shardStats.totalShards
+                ? await this.dbClient.getQueueDepths(shardStats.shardIndex, shardStats.totalShards).catch(() => null)
+                : null;
+            const workerStats = this.workerPools.map(pool => pool.getStats());
+            const deadLetters = await this.dbClient.getDeadLetterCounts().catch(() => null);
 
             // Simple text metrics format
             const metrics = [
@@ -263,6 +339,88 @@ class HttpServer {
                 `retell_processor_memory_usage_bytes{type="rss"} ${memUsage.rss}`,
                 `retell_processor_memory_usage_bytes{type="heapUsed"} ${memUsage.heapUsed}`,
                 `retell_processor_memory_usage_bytes{type="heapTotal"} ${memUsage.heapTotal}`,
+                ``,
+                `# HELP retell_processor_variant_calls_placed Calls placed per agent variant`,
+                `# TYPE retell_processor_variant_calls_placed gauge`,
+                ...variantStats.map(v => `retell_processor_variant_calls_placed{variant="${v.variant}"} ${v.callsPlaced}`),
+                ``,
+                `# HELP retell_processor_variant_connect_rate Share of placed calls that reached the customer`,
+                `# TYPE retell_processor_variant_connect_rate gauge`,
+                ...variantStats.map(v => `retell_processor_variant_connect_rate{variant="${v.variant}"} ${v.connectRate}`),
+                ``,
+                `# HELP retell_processor_variant_avg_duration_seconds Average duration of connected calls`,
+                `# TYPE retell_processor_variant_avg_duration_seconds gauge`,
+                ...variantStats.map(v => `retell_processor_variant_avg_duration_seconds{variant="${v.variant}"} ${v.avgDurationSeconds}`),
+                ``,
+                `# HELP retell_processor_variant_lead_conversion_rate Share of connected calls that became Odoo leads`,
+                `# TYPE retell_processor_variant_lead_conversion_rate gauge`,
+                ...variantStats.map(v => `retell_processor_variant_lead_conversion_rate{variant="${v.variant}"} ${v.leadConversionRate}`),
+                ``,
+                `# HELP retell_processor_spend_cents Retell spend in the current budget period, in cents`,
+                `# TYPE retell_processor_spend_cents gauge`,
+                ...(spend ? [
+                    `retell_processor_spend_cents{period="day"} ${spend.day.spentCents}`,
+                    `retell_processor_spend_cents{period="month"} ${spend.month.spentCents}`
+                ] : []),
+                ``,
+                `# HELP retell_processor_spend_reserved_cents Estimated cost of calls in flight, held against the budgets, in cents`,
+                `# TYPE retell_processor_spend_reserved_cents gauge`,
+                ...(spend ? [
+                    `retell_processor_spend_reserved_cents{period="day"} ${spend.day.reservedCents}`,
+                    `retell_processor_spend_reserved_cents{period="month"} ${spend.month.reservedCents}`
+                ] : []),
+                ``,
+                `# HELP retell_processor_spend_budget_cents Configured spend budget, in cents`,
+                `# TYPE retell_processor_spend_budget_cents gauge`,
+                ...(spendBudget.dailyLimitCents !== null ? [`retell_processor_spend_budget_cents{period="day"} ${spendBudget.dailyLimitCents}`] : []),
+                ...(spendBudget.monthlyLimitCents !== null ? [`retell_processor_spend_budget_cents{period="month"} ${spendBudget.monthlyLimitCents}`] : []),
+                ``,
+                `# HELP retell_processor_spend_paused Whether new calls are paused because a budget is exceeded`,
+                `# TYPE retell_processor_spend_paused gauge`,
+                ...(spend ? [`retell_processor_spend_paused ${spend.exceeded ? 1 : 0}`] : []),
+                ``,
+                `# HELP retell_processor_agent_cost_cents_today Retell spend today per agent, in cents`,
+                `# TYPE retell_processor_agent_cost_cents_today gauge`,
+                ...costStats.byAgent.map(a => `retell_processor_agent_cost_cents_today{agent_id="${a.agent_id}"} ${a.costCents}`),
+                ``,
+                `# HELP retell_processor_campaign_cost_cents_today Retell spend today per campaign, in cents`,
+                `# TYPE retell_processor_campaign_cost_cents_today gauge`,
+                ...costStats.byCampaign.map(c => `retell_processor_campaign_cost_cents_today{campaign="${c.campaign}"} ${c.costCents}`),
+                ``,
+                `# HELP retell_processor_campaign_call_seconds_today Connected call time today per campaign`,
+                `# TYPE retell_processor_campaign_call_seconds_today gauge`,
+                ...costStats.byCampaign.map(c => `retell_processor_campaign_call_seconds_today{campaign="${c.campaign}"} ${c.durationSeconds}`),
+                ``,
+                `# HELP retell_processor_queue_depth Unclaimed surveys in this shard waiting for each queue`,
+                `# TYPE retell_processor_queue_depth gauge`,
+                ...(queueDepths ? Object.entries(queueDepths).map(([queue, depth]) => `retell_processor_queue_depth{queue="${queue}"} ${depth}`) : []),
+                ``,
+                `# HELP retell_processor_dead_letters Surveys dead-lettered in each stage, across all shards`,
+                `# TYPE retell_processor_dead_letters gauge`,
+                ...(deadLetters ? Object.entries(deadLetters).map(([stage, count]) => `retell_processor_dead_letters{stage="${stage}"} ${count}`) : []),
+                ``,
+                `# HELP retell_processor_worker_queued Claimed surveys waiting for a worker`,
+                `# TYPE retell_processor_worker_queued gauge`,
+                ...workerStats.map(w => `retell_processor_worker_queued{pool="${w.name}"} ${w.queued}`),
+                ``,
+                `# HELP retell_processor_workers_busy Workers currently processing a survey`,
+                `# TYPE retell_processor_workers_busy gauge`,
+                ...workerStats.map(w => `retell_processor_workers_busy{pool="${w.name}"} ${w.running}`),
+                ``,
+                `# HELP retell_processor_worker_utilization Share of workers currently busy`,
+                `# TYPE retell_processor_worker_utilization gauge`,
+                ...workerStats.map(w => `retell_processor_worker_utilization{pool="${w.name}"} ${w.utilization}`),
+                ``,
+                `# HELP retell_processor_worker_busy_seconds_total Time workers spent on finished tasks`,
+                `# TYPE retell_processor_worker_busy_seconds_total counter`,
+                ...workerStats.map(w => `retell_processor_worker_busy_seconds_total{pool="${w.name}"} ${w.busySeconds}`),
+                ``,
+                `# HELP retell_processor_worker_tasks_total Tasks finished by each worker pool`,
+                `# TYPE retell_processor_worker_tasks_total counter`,
+                ...workerStats.flatMap(w => [
+                    `retell_processor_worker_tasks_total{pool="${w.name}",result="completed"} ${w.completed}`,
+                    `retell_processor_worker_tasks_total{pool="${w.name}",result="failed"} ${w.failed}`
+                ]),
                 ``
             ].join('\n');
 
@@ -278,52 +436,421 @@ class HttpServer {
     }
 
     /**
-     * Handle Retell webhook for call completion
+     * Call cost per day, agent and campaign, and spend against the budgets
+     */
+    async costsEndpoint(req, res) {
+        try {
+            const days = Math.min(parseInt(req.query.days, 10) || 30, 366);
+            const spendBudget = this.retellClient.spendBudget;
+
+            const [budget, stats] = await Promise.all([
+                spendBudget.getStatus(),
+                this.dbClient.getCallCostStats(days, spendBudget.timeZone)
+            ]);
+
+            res.status(200).json({ days, budget, ...stats });
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to get call costs');
+            res.status(500).json({ error: 'Failed to get call costs', message: error.message });
+        }
+    }
+
+    /**
+     * Agent variant configuration and per-variant results
+     */
+    async experimentsEndpoint(req, res) {
+        try {
+            const { experiment, variants } = this.retellClient.agentVariants;
+            const stats = await this.dbClient.getAgentVariantStats();
+
+            res.status(200).json({
+                experiment,
+                variants: variants.map(variant => ({
+                    ...variant,
+                    stats: stats.find(row => row.variant === variant.name) || null
+                })),
+                // Variants that are no longer configured but still have recorded calls
+                retired: stats.filter(row => !variants.some(variant => variant.name === row.variant))
+            });
+        } catch (error) {
+            logger.error({ err: error }, 'Experiments endpoint failed');
+            res.status(500).json({
+                error: 'Failed to get experiment results',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle Retell webhook for call lifecycle events
+     */
+    async handleRetellWebhook(req, res) {
+        try {
+            const signature = req.get('x-retell-signature');
+
+            if (!this.retellClient.verifyWebhookSignature(req.rawBody, signature)) {
+                logger.warn({ ip: req.ip }, 'Rejected Retell webhook with invalid signature');
+                return res.status(401).json({ error: 'Invalid signature' });
+            }
+
+            const webhookPayload = req.body;
+
+            // Process the webhook
+            const result = await this.retellClient.handleWebhook(webhookPayload);
+
+            res.status(200).json({ received: true, processed: result.success });
+
+        } catch (error) {
+            logger.error({
+                err: error,
+                event: req.body?.event,
+                callId: req.body?.call?.call_id
+            }, 'Failed to handle Retell webhook');
+
+            res.status(500).json({
+                error: 'Failed to process webhook',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Require a matching bearer token on admin endpoints
+     */
+    requireAdminToken(req, res, next) {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+        const tokenBuffer = Buffer.from(token);
+        const expectedBuffer = Buffer.from(process.env.ADMIN_API_TOKEN);
+
+        // timingSafeEqual throws on buffers of different byte lengths
+        const valid = tokenBuffer.length === expectedBuffer.length &&
+            crypto.timingSafeEqual(tokenBuffer, expectedBuffer);
+
+        if (!valid) {
+            logger.warn({ method: req.method, url: req.url, ip: req.ip }, 'Rejected admin request with invalid token');
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        next();
+    }
+
+    /**
+     * List do-not-call entries
+     */
+    async listDoNotCall(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const offset = parseInt(req.query.offset, 10) || 0;
+
+            const entries = await this.dbClient.listDoNotCall(limit, offset);
+
+            res.status(200).json({ entries, limit, offset });
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to list do-not-call entries');
+            res.status(500).json({ error: 'Failed to list do-not-call entries', message: error.message });
+        }
+    }
+
+    /**
+     * Add a phone number and/or customer to the do-not-call list
+     */
+    async addDoNotCall(req, res) {
+        try {
+            const { phone_number: phoneNumber, customer_id: customerId, reason } = req.body || {};
+
+            if (!phoneNumber && !customerId) {
+                return res.status(400).json({ error: 'phone_number or customer_id is required' });
+            }
+
+            if (customerId !== undefined && !Number.isInteger(customerId)) {
+                return res.status(400).json({ error: 'customer_id must be an integer' });
+            }
+
+            const entry = await this.dbClient.addDoNotCall({ phoneNumber, customerId, reason, source: 'admin' });
+
+            if (!entry) {
+                return res.status(409).json({ error: 'Already on the do-not-call list' });
+            }
+
+            res.status(201).json(entry);
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to add do-not-call entry');
+            res.status(500).json({ error: 'Failed to add do-not-call entry', message: error.message });
+        }
+    }
+
+    /**
+     * Remove a do-not-call entry
+     */
+    async removeDoNotCall(req, res) {
+        try {
+            const entryId = parseInt(req.params.id, 10);
+
+            if (!Number.isInteger(entryId)) {
+                return res.status(400).json({ error: 'Invalid entry id' });
+            }
+
+            const removed = await this.dbClient.removeDoNotCall(entryId);
+
+            if (!removed) {
+                return res.status(404).json({ error: 'Do-not-call entry not found' });
+            }
+
+            res.status(204).end();
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to remove do-not-call entry');
+            res.status(500).json({ error: 'Failed to remove do-not-call entry', message: error.message });
+        }
+    }
+
+    /**
+     * List surveys dead-lettered in a stage (call or odoo)
+     */
+    async listDeadLetters(req, res) {
+        try {
+            const { stage } = req.params;
+
+            if (!DatabaseClient.DEAD_LETTER_STAGES.includes(stage)) {
+                return res.status(404).json({ error: `Unknown stage ${stage}` });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+            const offset = parseInt(req.query.offset, 10) || 0;
+
+            const surveys = await this.dbClient.listDeadLetters(stage, limit, offset);
+
+            res.status(200).json({ stage, surveys, limit, offset });
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to list dead-lettered surveys');
+            res.status(500).json({ error: 'Failed to list dead-lettered surveys', message: error.message });
+        }
+    }
+
+    /**
+     * Show why a survey failed in a stage, with its recent call attempts
+     */
+    async getDeadLetter(req, res) {
+        try {
+            const { stage } = req.params;
+            const surveyId = parseInt(req.params.surveyId, 10);
+
+            if (!DatabaseClient.DEAD_LETTER_STAGES.includes(stage)) {
+                return res.status(404).json({ error: `Unknown stage ${stage}` });
+            }
+
+            if (!Number.isInteger(surveyId)) {
+                return res.status(400).json({ error: 'Invalid survey id' });
+            }
+
+            const survey = await this.dbClient.getDeadLetter(stage, surveyId);
+
+            if (!survey) {
+                return res.status(404).json({ error: 'Survey not found' });
+            }
+
+            res.status(200).json({ stage, ...survey });
+        } catch (error) {
+            logger.error({ err: error, surveyId: req.params.surveyId }, 'Failed to get dead-lettered survey');
+            res.status(500).json({ error: 'Failed to get dead-lettered survey', message: error.message });
+        }
+    }
+
+    /**
+     * Requeue dead-lettered surveys: the one in the path, or those matching
+     * survey_ids and/or error_code in the body
+     */
+    async requeueDeadLetters(req, res) {
+        try {
+            const { stage } = req.params;
+            let { survey_ids: surveyIds, error_code: errorCode } = req.body || {};
+
+            if (!DatabaseClient.DEAD_LETTER_STAGES.includes(stage)) {
+                return res.status(404).json({ error: `Unknown stage ${stage}` });
+            }
+
+            if (req.params.surveyId !== undefined) {
+                const surveyId = parseInt(req.params.surveyId, 10);
+                if (!Number.isInteger(surveyId)) {
+                    return res.status(400).json({ error: 'Invalid survey id' });
+                }
+                surveyIds = [surveyId];
+                errorCode = undefined;
+            }
+
+            if (surveyIds !== undefined && (!Array.isArray(surveyIds) || !surveyIds.every(Number.isInteger))) {
+                return res.status(400).json({ error: 'survey_ids must be an array of integers' });
+            }
+
+            if (errorCode !== undefined && typeof errorCode !== 'string') {
+                return res.status(400).json({ error: 'error_code must be a string' });
+            }
+
+            if (!surveyIds && !errorCode) {
+                return res.status(400).json({ error: 'survey_ids or error_code is required' });
+            }
+
+            const requeued = await this.dbClient.requeueDeadLetters(stage, { surveyIds, errorCode });
+
+            if (req.params.surveyId !== undefined && requeued.length === 0) {
+                return res.status(404).json({ error: 'Survey is not dead-lettered' });
+            }
+
+            res.status(200).json({ stage, requeued });
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to requeue dead-lettered surveys');
+            res.status(500).json({ error: 'Failed to requeue dead-lettered surveys', message: error.message });
+        }
+    }
+
+    /**
+     * Search archived call transcripts
+     */
+    async searchCalls(req, res) {
+        try {
+            const searchText = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+            if (!searchText) {
+                return res.status(400).json({ error: 'Query parameter q is required' });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+            const offset = parseInt(req.query.offset, 10) || 0;
+
+            const calls = await this.dbClient.searchTranscripts(searchText, limit, offset);
+
+            res.status(200).json({ query: searchText, calls, limit, offset });
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to search call transcripts');
+            res.status(500).json({ error: 'Failed to search call transcripts', message: error.message });
+        }
+    }
+
+    /**
+     * Explain a survey's priority score factor by factor
+     */
+    async explainPriority(req, res) {
+        try {
+            const surveyId = parseInt(req.params.id, 10);
+
+            if (!Number.isInteger(surveyId)) {
+                return res.status(400).json({ error: 'Invalid survey id' });
+            }
+
+            const explanation = await this.leadScorer.explain(surveyId);
+
+            if (!explanation) {
+                return res.status(404).json({ error: 'Survey not found' });
+            }
+
+            res.status(200).json(explanation);
+        } catch (error) {
+            logger.error({ err: error, surveyId: req.params.id }, 'Failed to explain survey priority');
+            res.status(500).json({ error: 'Failed to explain survey priority', message: error.message });
+        }
+    }
+
+    /**
+     * Issue a time-limited download link for a call's archived recording
+     */
+    async recordingLink(req, res) {
+        try {
+            const recording = await this.dbClient.getCallRecording(req.params.callId);
+
+            if (!recording) {
+                return res.status(404).json({ error: 'Call not found' });
+            }
+
+            if (!recording.recording_key) {
+                return res.status(404).json({ error: 'Recording not archived yet' });
+            }
+
+            const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+            const link = this.recordingArchive.createDownloadLink(recording.call_id, baseUrl);
+
+            res.status(200).json({ callId: recording.call_id, surveyId: recording.survey_id, ...link });
+        } catch (error) {
+            logger.error({ err: error, callId: req.params.callId }, 'Failed to create recording link');
+            res.status(500).json({ error: 'Failed to create recording link', message: error.message });
+        }
+    }
+
+    /**
+     * Stream an archived recording to the holder of a valid signed link
+     */
+    async downloadRecording(req, res) {
+        const { callId } = req.params;
+
+        try {
+            if (!this.recordingArchive.verifyDownloadLink(callId, req.query.expires, req.query.signature)) {
+                logger.warn({ callId, ip: req.ip }, 'Rejected recording download with invalid or expired link');
+                return res.status(403).json({ error: 'Invalid or expired link' });
+            }
+
+            const recording = await this.dbClient.getCallRecording(callId);
+
+            if (!recording || !recording.recording_key) {
+                return res.status(404).json({ error: 'Recording not found' });
+            }
+
+            const object = await this.recordingArchive.openRecording(recording.recording_key);
+
+            res.status(200);
+            res.set('Content-Type', object.contentType);
+            res.set('Content-Disposition', `attachment; filename="${recording.recording_key.split('/').pop()}"`);
+            res.set('Cache-Control', 'private, no-store');
+            if (object.contentLength) {
+                res.set('Content-Length', String(object.contentLength));
+            }
+
+            object.body.on('error', (error) => {
+                logger.error({ err: error, callId }, 'Recording stream failed');
+                res.destroy(error);
+            });
+            object.body.pipe(res);
+        } catch (error) {
+            logger.error({ err: error, callId }, 'Failed to download recording');
+            res.status(500).json({ error: 'Failed to download recording', message: error.message });
+        }
+    }
+
+    /**
+     * Handle a reply to an SMS follow-up. Accepts JSON or form posts with
+     * from/body (or Twilio-style From/Body/MessageSid); providers that can't
+     * send an Authorization header may pass the token as ?token=
      */
-    // async handleRetellWebhook(req, res) {
-    //     try {
-    //         const webhookPayload = req.body;
-
-    //         logger.info({
-    //             event: webhookPayload.event,
-    //             callId: webhookPayload.call?.call_id,
-    //             surveyId: webhookPayload.call?.metadata?.survey_id
-    //         }, 'Received Retell webhook');
-
-    //         // Process the webhook
-    //         const result = await this.retellClient.handleWebhook(webhookPayload);
-
-    //         if (result.success && result.surveyId && webhookPayload.event === 'call_ended') {
-    //             // Mark the survey response as sent to Retell
-    //             const updated = await this.dbClient.markAsSentToRetell(result.surveyId);
-
-    //             if (updated) {
-    //                 logger.info({
-    //                     surveyId: result.surveyId,
-    //                     callId: result.callId
-    //                 }, 'Successfully processed call completion webhook');
-    //             } else {
-    //                 logger.warn({
-    //                     surveyId: result.surveyId,
-    //                     callId: result.callId
-    //                 }, 'Failed to update survey response after call completion');
-    //             }
-    //         }
-
-    //         res.status(200).json({ received: true, processed: result.success });
-
-    //     } catch (error) {
-    //         logger.error({
-    //             err: error,
-    //             body: req.body
-    //         }, 'Failed to handle Retell webhook');
-
-    //         res.status(500).json({
-    //             error: 'Failed to process webhook',
-    //             message: error.message
-    //         });
-    //     }
-    // }
+    async handleInboundSms(req, res) {
+        const header = req.get('Authorization') || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : String(req.query.token || '');
+        const tokenBuffer = Buffer.from(token);
+        const expectedBuffer = Buffer.from(process.env.SMS_INBOUND_TOKEN);
+
+        const valid = tokenBuffer.length === expectedBuffer.length &&
+            crypto.timingSafeEqual(tokenBuffer, expectedBuffer);
+
+        if (!valid) {
+            logger.warn({ ip: req.ip }, 'Rejected inbound SMS with invalid token');
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        try {
+            const payload = req.body || {};
+            const from = payload.from || payload.From;
+            const body = payload.body ?? payload.Body ?? payload.text;
+            const providerMessageId = payload.id || payload.message_id || payload.MessageSid;
+
+            if (!from || typeof body !== 'string') {
+                return res.status(400).json({ error: 'from and body are required' });
+            }
+
+            const result = await this.smsFallback.handleReply({ from, body, providerMessageId });
+
+            res.status(200).json(result);
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to handle inbound SMS');
+            res.status(500).json({ error: 'Failed to handle inbound SMS', message: error.message });
+        }
+    }
 
     /**
      * Debug endpoint for shard information (development only)
@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+/**
+ * SMS adapter for providers with a plain JSON HTTP API. Posts
+ * { to, from, body, metadata } to SMS_HTTP_URL with an optional bearer token.
+ */
+class HttpSmsAdapter {
+    constructor() {
+        this.name = 'http';
+        this.url = process.env.SMS_HTTP_URL;
+
+        if (!this.url) {
+            throw new Error('SMS_HTTP_URL is required for the http SMS provider');
+        }
+
+        this.http = axios.create({
+            timeout: 15000,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(process.env.SMS_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` } : {})
+            }
+        });
+    }
+
+    /**
+     * Send a text message
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164
+     * @param {string} message.from - Sender in E.164
+     * @param {string} message.body - Message text
+     * @param {Object} [message.metadata] - Passed through to the provider
+     * @returns {Promise<{messageId: string|null}>} Provider message ID, if the provider returns one
+     */
+    async send({ to, from, body, metadata }) {
+        const response = await this.http.post(this.url, { to, from, body, metadata });
+        const data = response.data || {};
+
+        return { messageId: data.id || data.message_id || data.sid || null };
+    }
+}
+
+module.exports = HttpSmsAdapter;
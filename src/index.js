@@ -1,9 +1,18 @@
 const logger = require('./logger');
 const DatabaseClient = require('./db');
 const RetellClient = require('./retell');
+const RetellSimulator = require('./retellSimulator');
 const ShardingManager = require('./sharding');
 const HttpServer = require('./http');
 const OdooService = require('./odooService');
+const CallingHours = require('./callingHours');
+const RecordingArchive = require('./recordingArchive');
+const PhoneValidator = require('./phoneValidator');
+const SmsFallback = require('./smsFallback');
+const FollowUpEmail = require('./followUpEmail');
+const Migrator = require('./migrator');
+const LeadScorer = require('./leadScorer');
+const WorkerPool = require('./workerPool');
 
 class RetellCaller {
     constructor() {
@@ -12,15 +21,67 @@ class RetellCaller {
         this.shardingManager = null;
         this.httpServer = null;
         this.odooService = null;
+        this.callingHours = null;
+        this.recordingArchive = null;
+        this.phoneValidator = null;
+        this.smsFallback = null;
+        this.followUpEmail = null;
+        this.leadScorer = null;
         this.processingInterval = null;
         this.odooProcessingInterval = null;
         this.cleanupInterval = null;
+        this.recordingInterval = null;
+        this.phoneValidationInterval = null;
+        this.smsInterval = null;
+        this.emailInterval = null;
+        this.scoringInterval = null;
+        this.claimRenewalInterval = null;
         this.isShuttingDown = false;
 
+        // Surveys this pod has claimed and is still working on, per queue
+        this.claimedSurveys = { call: new Set(), odoo: new Set() };
+        // Whether a scan is claiming rows, per queue; overlapping scans would overfill the pools
+        this.scanning = { call: false, odoo: false };
+        // A wake-up arrived while the queue couldn't be scanned, per queue
+        this.wakePending = { call: false, odoo: false };
+        // The last scan filled the pool, so more surveys are probably waiting
+        this.moreQueued = { call: false, odoo: false };
+        this.wakeTimers = { call: null, odoo: null };
+        // A follow-up email run is still going; the next tick is skipped rather than overlapping it
+        this.sendingEmails = false;
+
         // Configuration
-        this.scanIntervalMs = parseInt(process.env.SCAN_INTERVAL_MS, 10) || 10000;
-        this.odooScanIntervalMs = parseInt(process.env.ODOO_SCAN_INTERVAL_MS, 10) || 15000; // 15 seconds for Odoo processing
+        // Queue notifications wake the loops right away; polling catches surveys that become due with time
+        this.scanIntervalMs = parseInt(process.env.SCAN_INTERVAL_MS, 10) || 30000;
+        this.odooScanIntervalMs = parseInt(process.env.ODOO_SCAN_INTERVAL_MS, 10) || 60000;
+        this.queueWakeDelayMs = parseInt(process.env.QUEUE_WAKE_DELAY_MS, 10) || 250; // coalesces bursts of notifications
         this.cleanupIntervalMs = parseInt(process.env.CLEANUP_INTERVAL_MS, 10) || 300000; // 5 minutes
+        this.reconcileAfterMs = parseInt(process.env.RECONCILE_AFTER_MS, 10) || 900000; // 15 minutes
+        this.maxCallAgeMs = parseInt(process.env.MAX_CALL_AGE_MS, 10) || 7200000; // 2 hours
+        this.recordingArchiveIntervalMs = parseInt(process.env.RECORDING_ARCHIVE_INTERVAL_MS, 10) || 60000;
+        this.phoneValidationIntervalMs = parseInt(process.env.PHONE_VALIDATION_INTERVAL_MS, 10) || 60000;
+        this.smsFallbackIntervalMs = parseInt(process.env.SMS_FALLBACK_INTERVAL_MS, 10) || 60000;
+        this.emailScanIntervalMs = parseInt(process.env.EMAIL_SCAN_INTERVAL_MS, 10) || 60000;
+        this.priorityScoringIntervalMs = parseInt(process.env.PRIORITY_SCORING_INTERVAL_MS, 10) || 60000;
+        this.claimRenewIntervalMs = parseInt(process.env.CLAIM_RENEW_INTERVAL_MS, 10) || 30000; // well inside CLAIM_LEASE_MS
+        this.retellMode = process.env.RETELL_MODE || 'live';
+        // Failed calls back off from CALL_FAILURE_RETRY_DELAY_MS, doubling, until dead-lettered
+        this.callMaxFailures = parseInt(process.env.CALL_MAX_FAILURES, 10) || 5;
+        this.callFailureRetryDelayMs = parseInt(process.env.CALL_FAILURE_RETRY_DELAY_MS, 10) || 60000;
+        // Failed Odoo syncs back off from ODOO_RETRY_DELAY_MS, doubling, until dead-lettered
+        this.odooMaxAttempts = parseInt(process.env.ODOO_MAX_ATTEMPTS, 10) || 8;
+        this.odooRetryDelayMs = parseInt(process.env.ODOO_RETRY_DELAY_MS, 10) || 60000;
+
+        // Each scan claims up to the batch size, less what the pool still holds, and works
+        // through it with the given number of concurrent workers
+        this.callBatchSize = parseInt(process.env.CALL_BATCH_SIZE, 10) || 10;
+        this.callConcurrency = parseInt(process.env.CALL_CONCURRENCY, 10) || 3;
+        this.odooBatchSize = parseInt(process.env.ODOO_BATCH_SIZE, 10) || 20;
+        this.odooConcurrency = parseInt(process.env.ODOO_CONCURRENCY, 10) || 2;
+        this.callPool = new WorkerPool('call', this.callConcurrency, this.callBatchSize,
+            progressed => this.handleTaskDone('call', progressed));
+        this.odooPool = new WorkerPool('odoo', this.odooConcurrency, this.odooBatchSize,
+            progressed => this.handleTaskDone('odoo', progressed));
 
         // Bind signal handlers
         this.setupSignalHandlers();
@@ -38,8 +99,14 @@ class RetellCaller {
 
             // Initialize components
             this.dbClient = new DatabaseClient();
-            this.retellClient = new RetellClient();
+            this.retellClient = new RetellClient(
+                this.dbClient,
+                this.retellMode === 'simulate' ? new RetellSimulator() : undefined
+            );
             this.shardingManager = new ShardingManager();
+            this.callingHours = new CallingHours();
+            this.phoneValidator = new PhoneValidator(this.dbClient);
+            this.leadScorer = new LeadScorer(this.dbClient);
 
             // Initialize Odoo service if environment variables are present
             try {
@@ -50,7 +117,37 @@ class RetellCaller {
                 this.odooService = null;
             }
 
-            this.httpServer = new HttpServer(this.dbClient, this.retellClient, this.shardingManager, this.odooService);
+            // Recording archival is enabled when a bucket is configured
+            if (process.env.RECORDING_BUCKET) {
+                this.recordingArchive = new RecordingArchive(this.dbClient, this.retellClient);
+            } else {
+                logger.info('RECORDING_BUCKET not set - call recordings will not be archived');
+            }
+
+            // SMS follow-ups are enabled when a provider is configured
+            if (process.env.SMS_PROVIDER) {
+                this.smsFallback = new SmsFallback(this.dbClient);
+            } else {
+                logger.info('SMS_PROVIDER not set - unreachable customers will not be texted');
+            }
+
+            // Follow-up emails are enabled when an SMTP server is configured
+            if (process.env.SMTP_HOST) {
+                this.followUpEmail = new FollowUpEmail(this.dbClient);
+            } else {
+                logger.info('SMTP_HOST not set - follow-up emails will not be sent');
+            }
+
+            this.httpServer = new HttpServer(
+                this.dbClient,
+                this.retellClient,
+                this.shardingManager,
+                this.odooService,
+                this.recordingArchive,
+                this.smsFallback,
+                this.leadScorer,
+                [this.callPool, this.odooPool]
+            );
 
             // Test database connection
             const dbHealthy = await this.dbClient.healthCheck();
@@ -58,6 +155,13 @@ class RetellCaller {
                 throw new Error('Database health check failed');
             }
 
+            // Bring the schema up to date, then refuse to run against one we can't work with
+            const migrator = new Migrator(this.dbClient.pool);
+            if (process.env.RUN_MIGRATIONS !== 'false') {
+                await migrator.migrate();
+            }
+            await migrator.verifySchema();
+
             // Validate shard configuration
             const shardValid = await this.shardingManager.validateShardConfig();
             if (!shardValid) {
@@ -74,7 +178,8 @@ class RetellCaller {
             logger.info({
                 shard: shardStats,
                 exampleIds,
-                scanInterval: this.scanIntervalMs
+                scanInterval: this.scanIntervalMs,
+                retellMode: this.retellMode
             }, 'Service initialized successfully');
 
             return true;
@@ -105,6 +210,10 @@ class RetellCaller {
             throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
         }
 
+        if (!['live', 'simulate'].includes(this.retellMode)) {
+            throw new Error(`Invalid RETELL_MODE "${this.retellMode}" - expected live or simulate`);
+        }
+
         logger.info('Environment validation passed');
     }
 
@@ -132,18 +241,72 @@ class RetellCaller {
                 logger.info('Odoo processing loop started');
             }
 
-            // Start cleanup loop for old active calls
+            // Start claim renewal loop so surveys with a call in flight stay claimed by this pod
+            this.claimRenewalInterval = setInterval(
+                this.renewClaims.bind(this),
+                this.claimRenewIntervalMs
+            );
+
+            // Start reconciliation loop for calls whose webhooks never arrived
             this.cleanupInterval = setInterval(
-                this.cleanupOldCalls.bind(this),
+                this.reconcileCalls.bind(this),
                 this.cleanupIntervalMs
             );
 
+            // Start phone validation loop so new signups become callable
+            this.phoneValidationInterval = setInterval(
+                this.validatePhoneNumbers.bind(this),
+                this.phoneValidationIntervalMs
+            );
+
+            // Start priority scoring loop so new surveys get their place in the queue
+            this.scoringInterval = setInterval(
+                this.scorePriorities.bind(this),
+                this.priorityScoringIntervalMs
+            );
+
+            // Start recording archival loop if a bucket is configured
+            if (this.recordingArchive) {
+                this.recordingInterval = setInterval(
+                    this.archiveRecordings.bind(this),
+                    this.recordingArchiveIntervalMs
+                );
+                logger.info('Recording archive loop started');
+            }
+
+            // Start SMS follow-up loop if a provider is configured
+            if (this.smsFallback) {
+                this.smsInterval = setInterval(
+                    this.sendSmsFollowUps.bind(this),
+                    this.smsFallbackIntervalMs
+                );
+                logger.info('SMS follow-up loop started');
+            }
+
+            // Start follow-up email loop if an SMTP server is configured
+            if (this.followUpEmail) {
+                this.emailInterval = setInterval(
+                    this.sendFollowUpEmails.bind(this),
+                    this.emailScanIntervalMs
+                );
+                logger.info('Follow-up email loop started');
+            }
+
+            // Wake the loops as soon as surveys become eligible; polling stays as the safety net
+            if (process.env.QUEUE_LISTEN !== 'false') {
+                await this.dbClient.listenForQueueChanges(this.wake.bind(this));
+            }
+
             // Start shard monitoring
             this.stopShardMonitoring = this.shardingManager.startShardMonitoring(
                 this.handleShardChange.bind(this),
                 30000 // Check every 30 seconds
             );
 
+            // Validate numbers and score surveys before the first scan so new signups are callable right away
+            await this.validatePhoneNumbers();
+            await this.scorePriorities();
+
             // Initial processing run
             await this.processSurveyResponses();
 
@@ -162,40 +325,62 @@ class RetellCaller {
     }
 
     /**
-     * Main processing function - gets and processes survey responses
+     * Main processing function - claims a batch of survey responses and hands
+     * them to the call workers
      */
     async processSurveyResponses() {
         if (this.isShuttingDown) {
             return;
         }
 
+        // Backpressure: only claim what the workers can take, and scan again once they can take more
+        const limit = this.callPool.capacity;
+        if (this.scanning.call || limit === 0) {
+            logger.debug(this.callPool.getStats(), 'Call workers are full or a scan is running - deferring scan');
+            this.wakePending.call = true;
+            return;
+        }
+
+        this.scanning.call = true;
+
         try {
             // Get current shard information
             const { shardIndex, totalShards } = await this.shardingManager.getShardInfo();
 
-            logger.info({ shardIndex, totalShards }, 'Processing survey responses for shard');
+            logger.info({ shardIndex, totalShards, limit }, 'Processing survey responses for shard');
 
-            // Get next survey response for this shard
-            const surveyData = await this.dbClient.getNextSurveyResponse(shardIndex, totalShards, this.retellClient.activeSurveys);
+            // Claim the next survey responses for this shard
+            const surveys = await this.dbClient.getNextSurveyResponses(
+                shardIndex,
+                totalShards,
+                this.callingHours.getQueryWindow(),
+                limit
+            );
+            this.moreQueued.call = surveys.length === limit;
 
-            if (!surveyData) {
+            if (surveys.length === 0) {
                 logger.debug({ shardIndex, totalShards }, 'No eligible survey responses found for this shard');
                 return;
             }
 
-            // Process the survey response
-            await this.processSingleSurvey(surveyData);
+            // Claimed rows waiting for a worker need their leases renewed too
+            surveys.forEach(surveyData => this.claimedSurveys.call.add(surveyData.survey_id));
+            this.callPool.push(surveys, this.processSingleSurvey.bind(this));
 
         } catch (error) {
             logger.error({ err: error }, 'Error in survey processing loop');
 
             // Don't exit on processing errors, just log and continue
             // The next iteration will try again
+        } finally {
+            this.scanning.call = false;
+            this.wakeIfPending('call');
         }
     }
 
     /**
      * Process a single survey response
+     * @returns {Promise<boolean>} Whether a call was placed
      */
     async processSingleSurvey(surveyData) {
         const surveyId = surveyData.survey_id;
@@ -207,7 +392,7 @@ class RetellCaller {
                     surveyId,
                     customerName: surveyData.customer_name
                 }, 'Survey is already being processed - skipping');
-                return;
+                return false;
             }
 
             logger.info({
@@ -231,6 +416,7 @@ class RetellCaller {
 
             // Note: We don't mark as processed here - that happens via webhook
             // when the call actually completes
+            return true;
 
         } catch (error) {
             // Check if this is a duplicate processing error
@@ -239,7 +425,30 @@ class RetellCaller {
                     surveyId,
                     customerName: surveyData.customer_name
                 }, 'Survey already being processed by another instance - skipping');
-                return;
+                return false;
+            }
+
+            if (error.message && error.message.includes('do-not-call')) {
+                logger.info({
+                    surveyId,
+                    customerId: surveyData.customer_id
+                }, 'Customer is on the do-not-call list - skipping');
+                return false;
+            }
+
+            if (error.message && error.message.includes('call limit reached')) {
+                logger.debug({ surveyId, reason: error.message }, 'Cluster call limit reached - survey will be retried on a later cycle');
+                return false;
+            }
+
+            if (error.message && error.message.includes('Spend budget exceeded')) {
+                logger.debug({ surveyId, reason: error.message }, 'Spend budget exceeded - survey will be retried once spend is within budget');
+                return false;
+            }
+
+            if (error.message && error.message.includes('call caps')) {
+                logger.warn({ surveyId }, 'No caller ID available - survey will be retried on a later cycle');
+                return false;
             }
 
             logger.error({
@@ -248,53 +457,144 @@ class RetellCaller {
                 customerName: surveyData.customer_name
             }, 'Failed to process survey response');
 
-            // Depending on the error type, we might want to mark it as failed
-            // or let it retry on the next processing cycle
-            if (error.status === 400 || error.status === 401 || error.status === 403) {
-                logger.warn({
-                    surveyId,
-                    errorStatus: error.status
-                }, 'Permanent error - survey will not be retried');
+            // Retell rejected this survey's call outright, so retrying won't help. 401/403 mean the
+            // API key or agent is misconfigured, which would dead-letter every survey, so those
+            // back off without ever being dead-lettered.
+            const permanent = error.status >= 400 && error.status < 500 && ![401, 403, 408, 409, 429].includes(error.status);
+            const misconfigured = [401, 403].includes(error.status);
+
+            try {
+                const failure = await this.dbClient.markCallFailed(surveyId, {
+                    errorCode: RetellCaller.errorCode(error),
+                    error: error.message,
+                    permanent,
+                    maxAttempts: misconfigured ? null : this.callMaxFailures,
+                    retryDelayMs: this.callFailureRetryDelayMs
+                });
+
+                if (permanent) {
+                    logger.warn({
+                        surveyId,
+                        errorStatus: error.status,
+                        attempts: failure.attempts
+                    }, 'Permanent error - survey dead-lettered and will not be retried');
+                } else if (failure.deadLettered) {
+                    logger.warn({ surveyId, attempts: failure.attempts }, 'Call failed too many times - survey dead-lettered');
+                } else {
+                    logger.info({ surveyId, ...failure }, 'Call failed - retry scheduled');
+                }
+            } catch (markError) {
+                logger.error({ err: markError, surveyId }, 'Failed to record call failure');
+            }
+
+            return false;
+        } finally {
+            this.claimedSurveys.call.delete(surveyId);
 
-                // Could mark as processed with error flag here if needed
-                // await this.dbClient.markAsProcessedWithError(surveyId, error.message);
+            // A placed call keeps its claim until the call ends; anything else is free to be picked up again
+            if (!this.retellClient.isSurveyBeingProcessed(surveyId)) {
+                await this.releaseClaim('call', surveyId);
             }
         }
     }
 
     /**
-     * Process completed surveys for Odoo lead creation
+     * Process completed surveys for Odoo lead creation - claims a batch and
+     * hands it to the Odoo workers
      */
     async processOdooLeads() {
         if (this.isShuttingDown || !this.odooService) {
             return;
         }
 
+        // Backpressure: only claim what the workers can take, and scan again once they can take more
+        const limit = this.odooPool.capacity;
+        if (this.scanning.odoo || limit === 0) {
+            logger.debug(this.odooPool.getStats(), 'Odoo workers are full or a scan is running - deferring scan');
+            this.wakePending.odoo = true;
+            return;
+        }
+
+        this.scanning.odoo = true;
+
         try {
             // Get current shard information
             const { shardIndex, totalShards } = await this.shardingManager.getShardInfo();
 
-            logger.debug({ shardIndex, totalShards }, 'Processing Odoo leads for shard');
+            logger.debug({ shardIndex, totalShards, limit }, 'Processing Odoo leads for shard');
 
-            // Get next processed survey response for Odoo integration
-            const surveyData = await this.dbClient.getNextProcessedSurveyForOdoo(shardIndex, totalShards);
+            // Claim the next processed survey responses for Odoo integration
+            const surveys = await this.dbClient.getNextProcessedSurveysForOdoo(shardIndex, totalShards, limit);
+            this.moreQueued.odoo = surveys.length === limit;
 
-            if (!surveyData) {
+            if (surveys.length === 0) {
                 logger.debug({ shardIndex, totalShards }, 'No processed survey responses found for Odoo integration');
                 return;
             }
 
-            // Process the survey for Odoo lead creation
-            await this.processSingleOdooLead(surveyData);
+            surveys.forEach(surveyData => this.claimedSurveys.odoo.add(surveyData.survey_id));
+            this.odooPool.push(surveys, this.processSingleOdooLead.bind(this));
 
         } catch (error) {
             logger.error({ err: error }, 'Error in Odoo processing loop');
             // Don't exit on processing errors, just log and continue
+        } finally {
+            this.scanning.odoo = false;
+            this.wakeIfPending('odoo');
+        }
+    }
+
+    /**
+     * Scan a queue shortly, coalescing bursts of wake-ups into one scan
+     * @param {string} queue - 'call' or 'odoo'
+     */
+    wake(queue) {
+        if (this.isShuttingDown || this.wakeTimers[queue]) {
+            return;
         }
+
+        this.wakeTimers[queue] = setTimeout(() => {
+            this.wakeTimers[queue] = null;
+            if (queue === 'call') {
+                this.processSurveyResponses();
+            } else {
+                this.processOdooLeads();
+            }
+        }, this.queueWakeDelayMs);
+    }
+
+    /**
+     * Run a deferred scan once the queue can be scanned again
+     * @param {string} queue - 'call' or 'odoo'
+     */
+    wakeIfPending(queue) {
+        const pool = queue === 'call' ? this.callPool : this.odooPool;
+
+        if (this.wakePending[queue] && !this.scanning[queue] && pool.capacity > 0) {
+            this.wakePending[queue] = false;
+            this.wake(queue);
+        }
+    }
+
+    /**
+     * A worker finished a survey. Refill the pool if the last scan left surveys
+     * behind - but only after real progress, so surveys that are put back right
+     * away (e.g. a call limit was reached) don't cause a tight rescan loop.
+     * @param {string} queue - 'call' or 'odoo'
+     * @param {boolean} progressed - Whether the survey moved forward
+     */
+    handleTaskDone(queue, progressed) {
+        if (progressed && this.moreQueued[queue]) {
+            this.moreQueued[queue] = false;
+            this.wakePending[queue] = true;
+        }
+
+        this.wakeIfPending(queue);
     }
 
     /**
      * Process a single survey response for Odoo lead creation
+     * @returns {Promise<boolean>} Whether the lead was created
      */
     async processSingleOdooLead(surveyData) {
         const surveyId = surveyData.survey_id;
@@ -312,7 +612,15 @@ class RetellCaller {
                 surveyId: surveyId,
                 phone: surveyData.client_phone_number,
                 email: surveyData.client_email,
-                summary: surveyData.summary
+                summary: surveyData.summary,
+                analysis: {
+                    sentiment: surveyData.user_sentiment,
+                    callSuccessful: surveyData.call_successful,
+                    interested: surveyData.interested,
+                    meetingRequested: surveyData.meeting_requested,
+                    budgetConfirmed: surveyData.budget_confirmed,
+                    customData: surveyData.custom_analysis
+                }
             };
 
             // Create lead in Odoo with retry logic
@@ -340,6 +648,8 @@ class RetellCaller {
                 }
             }
 
+            return leadResult.success;
+
         } catch (error) {
             logger.error({
                 err: error,
@@ -347,17 +657,95 @@ class RetellCaller {
                 customerName: surveyData.customer_name
             }, 'Failed to process survey for Odoo lead creation');
 
-            // Depending on the error type, we might want to mark it as failed
-            // or let it retry on the next processing cycle
+            // Authentication errors are a problem with our Odoo setup, not with this survey
             if (error.message && (error.message.includes('authentication') || error.message.includes('credentials'))) {
                 logger.warn({
                     surveyId,
                     error: error.message
                 }, 'Odoo authentication error - will retry later');
+                return false;
+            }
+
+            try {
+                const failure = await this.dbClient.markOdooSyncFailed(surveyId, {
+                    errorCode: RetellCaller.errorCode(error),
+                    error: error.message,
+                    maxAttempts: this.odooMaxAttempts,
+                    retryDelayMs: this.odooRetryDelayMs
+                });
+
+                if (failure.deadLettered) {
+                    logger.warn({ surveyId, attempts: failure.attempts }, 'Odoo sync failed too many times - survey dead-lettered');
+                } else {
+                    logger.info({ surveyId, ...failure }, 'Odoo sync failed - retry scheduled');
+                }
+            } catch (markError) {
+                logger.error({ err: markError, surveyId }, 'Failed to record Odoo sync failure');
+            }
+
+            return false;
+        } finally {
+            this.claimedSurveys.odoo.delete(surveyId);
+
+            // No-op once markAsSentToOdoo has cleared the claim
+            await this.releaseClaim('odoo', surveyId);
+        }
+    }
+
+    /**
+     * Extend the leases on surveys this pod is still working on, including
+     * every survey with a call in flight
+     */
+    async renewClaims() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        const held = {
+            call: [...new Set([...this.claimedSurveys.call, ...this.retellClient.getActiveSurveyIds()])],
+            odoo: [...this.claimedSurveys.odoo]
+        };
+
+        for (const [queue, surveyIds] of Object.entries(held)) {
+            try {
+                const renewed = await this.dbClient.renewClaims(queue, surveyIds);
+
+                // Calls whose webhook reached another pod are already released; only unfinished work matters
+                const lost = [...this.claimedSurveys[queue]].filter(surveyId => !renewed.includes(surveyId));
+                if (lost.length > 0) {
+                    logger.warn({ queue, surveyIds: lost }, 'Survey claims lapsed before work finished - another pod may pick them up');
+                }
+            } catch (error) {
+                logger.error({ err: error, queue }, 'Error renewing survey claims');
             }
         }
     }
 
+    /**
+     * Let a survey be picked up again without waiting for its lease to expire
+     * @param {string} queue - 'call' or 'odoo'
+     * @param {number} surveyId - The survey response ID
+     */
+    async releaseClaim(queue, surveyId) {
+        try {
+            await this.dbClient.releaseClaim(queue, surveyId);
+        } catch (error) {
+            logger.warn({ err: error, queue, surveyId }, 'Failed to release survey claim - it will expire with its lease');
+        }
+    }
+
+    /**
+     * Short code describing an error, stored with failed surveys
+     * @param {Error} error - Error thrown while processing a survey
+     * @returns {string} e.g. http_400, ECONNRESET or error
+     */
+    static errorCode(error) {
+        if (error.status) {
+            return `http_${error.status}`;
+        }
+        return typeof error.code === 'string' ? error.code : 'error';
+    }
+
     /**
      * Generic retry mechanism with exponential backoff
      */
@@ -403,13 +791,107 @@ class RetellCaller {
     }
 
     /**
-     * Cleanup old active calls that may have missed webhooks
+     * Reconcile calls that may have missed webhooks against Retell
+     */
+    async reconcileCalls() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        try {
+            await this.retellClient.reconcileStaleCalls(this.reconcileAfterMs, this.maxCallAgeMs);
+            this.retellClient.cleanupOldCalls(this.maxCallAgeMs);
+        } catch (error) {
+            logger.error({ err: error }, 'Error during call reconciliation');
+        }
+    }
+
+    /**
+     * Normalize and validate new or changed customer phone numbers in this shard
+     */
+    async validatePhoneNumbers() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        try {
+            const { shardIndex, totalShards } = await this.shardingManager.getShardInfo();
+            await this.phoneValidator.validatePending(shardIndex, totalShards);
+        } catch (error) {
+            logger.error({ err: error }, 'Error during phone validation');
+        }
+    }
+
+    /**
+     * Score the priority of new and stale surveys in this shard
+     */
+    async scorePriorities() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        try {
+            const { shardIndex, totalShards } = await this.shardingManager.getShardInfo();
+            await this.leadScorer.scorePending(shardIndex, totalShards);
+        } catch (error) {
+            logger.error({ err: error }, 'Error during priority scoring');
+        }
+    }
+
+    /**
+     * Copy recordings of completed calls in this shard to the recording bucket
      */
-    async cleanupOldCalls() {
+    async archiveRecordings() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        try {
+            const { shardIndex, totalShards } = await this.shardingManager.getShardInfo();
+            await this.recordingArchive.archivePending(shardIndex, totalShards);
+        } catch (error) {
+            logger.error({ err: error }, 'Error during recording archival');
+        }
+    }
+
+    /**
+     * Text customers in this shard whose call attempts are exhausted
+     */
+    async sendSmsFollowUps() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
         try {
-            this.retellClient.cleanupOldCalls(30 * 60 * 1000); // 30 minutes
+            const { shardIndex, totalShards } = await this.shardingManager.getShardInfo();
+            await this.smsFallback.sendPending(shardIndex, totalShards, this.callingHours.getQueryWindow());
         } catch (error) {
-            logger.error({ err: error }, 'Error during call cleanup');
+            logger.error({ err: error }, 'Error during SMS follow-up');
+        }
+    }
+
+    /**
+     * Email customers in this shard whose call completed
+     */
+    async sendFollowUpEmails() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        if (this.sendingEmails) {
+            logger.debug('Previous follow-up email run still going - skipping');
+            return;
+        }
+
+        this.sendingEmails = true;
+
+        try {
+            const { shardIndex, totalShards } = await this.shardingManager.getShardInfo();
+            await this.followUpEmail.sendPending(shardIndex, totalShards);
+        } catch (error) {
+            logger.error({ err: error }, 'Error during follow-up email');
+        } finally {
+            this.sendingEmails = false;
         }
     }
 
@@ -468,16 +950,62 @@ class RetellCaller {
                 this.cleanupInterval = null;
             }
 
+            if (this.claimRenewalInterval) {
+                clearInterval(this.claimRenewalInterval);
+                this.claimRenewalInterval = null;
+            }
+
+            Object.values(this.wakeTimers).forEach(timer => clearTimeout(timer));
+
+            if (this.scoringInterval) {
+                clearInterval(this.scoringInterval);
+                this.scoringInterval = null;
+            }
+
+            if (this.recordingInterval) {
+                clearInterval(this.recordingInterval);
+                this.recordingInterval = null;
+            }
+
+            if (this.phoneValidationInterval) {
+                clearInterval(this.phoneValidationInterval);
+                this.phoneValidationInterval = null;
+            }
+
+            if (this.smsInterval) {
+                clearInterval(this.smsInterval);
+                this.smsInterval = null;
+            }
+
+            if (this.emailInterval) {
+                clearInterval(this.emailInterval);
+                this.emailInterval = null;
+            }
+
             // Stop shard monitoring
             if (this.stopShardMonitoring) {
                 this.stopShardMonitoring();
             }
 
+            // Let running workers finish; surveys still waiting for one go back to the queue
+            for (const pool of [this.callPool, this.odooPool]) {
+                const dropped = await pool.stop();
+                for (const surveyData of dropped) {
+                    this.claimedSurveys[pool.name].delete(surveyData.survey_id);
+                    await this.releaseClaim(pool.name, surveyData.survey_id);
+                }
+            }
+
             // Stop HTTP server
             if (this.httpServer) {
                 await this.httpServer.stop();
             }
 
+            // Close SMTP connections
+            if (this.followUpEmail) {
+                this.followUpEmail.close();
+            }
+
             // Close database connections
             if (this.dbClient) {
                 await this.dbClient.close();
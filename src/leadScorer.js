@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const DatabaseClient = require('./db');
+
+const DEFAULT_MODEL_FILE = path.join(__dirname, '..', 'config', 'lead-scoring.json');
+
+// 5k, 1.5M, 2B
+const AMOUNT = /(\d+(?:[.,]\d+)*)(?:\s*([kmb])(?![a-z]))?/gi;
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+class LeadScorer {
+    /**
+     * @param {DatabaseClient} dbClient - Database client
+     * @param {string} [filePath] - Scoring model, defaults to LEAD_SCORING_FILE or config/lead-scoring.json
+     */
+    constructor(dbClient, filePath = process.env.LEAD_SCORING_FILE || DEFAULT_MODEL_FILE) {
+        this.dbClient = dbClient;
+        this.filePath = filePath;
+
+        const content = LeadScorer.read(filePath);
+        this.factors = LeadScorer.load(filePath, content);
+        // Stored with each score so surveys are rescored when the model changes
+        this.model = crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+        this.maxScore = Object.values(this.factors).reduce((sum, factor) => sum + factor.weight, 0);
+
+        this.batchSize = parseInt(process.env.PRIORITY_SCORING_BATCH_SIZE, 10) || 500;
+        // Scores include the survey's age, so they go stale
+        this.rescoreAfterHours = parseInt(process.env.PRIORITY_RESCORE_HOURS, 10) || 6;
+
+        this.validate();
+
+        logger.info({
+            filePath,
+            model: this.model,
+            factors: Object.keys(this.factors),
+            maxScore: this.maxScore
+        }, 'Loaded lead scoring model');
+    }
+
+    /**
+     * Read the model file
+     * @param {string} filePath - Path to the JSON model file
+     * @returns {string} File content
+     */
+    static read(filePath) {
+        try {
+            return fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            throw new Error(`Failed to load lead scoring model from ${filePath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Parse the model file
+     * @param {string} filePath - Path to the JSON model file, for errors
+     * @param {string} content - File content
+     * @returns {Object} Factor name -> definition
+     */
+    static load(filePath, content) {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Failed to parse lead scoring model ${filePath}: ${error.message}`);
+        }
+
+        if (!parsed || typeof parsed.factors !== 'object' || Array.isArray(parsed.factors)) {
+            throw new Error(`Lead scoring model ${filePath} must contain a "factors" object`);
+        }
+
+        return parsed.factors;
+    }
+
+    /**
+     * Check every factor is well-formed and only reads columns the scoring query selects
+     */
+    validate() {
+        const problems = [];
+
+        for (const [name, factor] of Object.entries(this.factors)) {
+            const { source, weight, match, range } = factor || {};
+
+            if (!DatabaseClient.LEAD_SCORING_COLUMNS.includes(source)) {
+                problems.push(`${name}: unknown column "${source}"`);
+            }
+
+            if (typeof weight !== 'number' || weight < 0) {
+                problems.push(`${name}: "weight" must be a non-negative number`);
+            }
+
+            if (!match === !range) {
+                problems.push(`${name}: exactly one of "match" or "range" is required`);
+                continue;
+            }
+
+            if (match) {
+                if (!Array.isArray(match)) {
+                    problems.push(`${name}: "match" must be a list of { pattern, score } rules`);
+                    continue;
+                }
+                for (const rule of match) {
+                    try {
+                        rule.regex = new RegExp(rule.pattern, 'i');
+                    } catch (error) {
+                        problems.push(`${name}: invalid pattern "${rule.pattern}"`);
+                    }
+                    if (!LeadScorer.isFactorScore(rule.score)) {
+                        problems.push(`${name}: rule "${rule.pattern}" needs a score between 0 and 1`);
+                    }
+                }
+            }
+
+            if (range) {
+                const valid = Array.isArray(range) && range.length >= 2 && range.every((point, i) =>
+                    Array.isArray(point) && typeof point[0] === 'number' && LeadScorer.isFactorScore(point[1]) &&
+                    (i === 0 || point[0] > range[i - 1][0]));
+                if (!valid) {
+                    problems.push(`${name}: "range" must be at least two [value, score] points with increasing values`);
+                }
+            }
+
+            if (factor.default !== undefined && !LeadScorer.isFactorScore(factor.default)) {
+                problems.push(`${name}: "default" must be between 0 and 1`);
+            }
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Invalid lead scoring model in ${this.filePath}:\n  ${problems.join('\n  ')}`);
+        }
+    }
+
+    /**
+     * Whether a value is a valid factor score (0-1)
+     */
+    static isFactorScore(value) {
+        return typeof value === 'number' && value >= 0 && value <= 1;
+    }
+
+    /**
+     * Read a number out of a survey answer. Ranges such as "$1M-$5M" or
+     * "11-50" give their midpoint; "50+" gives 50.
+     * @param {*} value - Raw answer
+     * @returns {number|null} Parsed number, or null if there is none
+     */
+    static parseAmount(value) {
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const amounts = [...String(value ?? '').matchAll(AMOUNT)]
+            .slice(0, 2)
+            .map(([, digits, suffix]) => Number(digits.replace(/,/g, '')) * (MULTIPLIERS[suffix?.toLowerCase()] || 1))
+            .filter(Number.isFinite);
+
+        if (amounts.length === 0) {
+            return null;
+        }
+
+        return amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length;
+    }
+
+    /**
+     * Piecewise-linear interpolation between [value, score] points, clamped at both ends
+     * @param {number} value - Input value
+     * @param {Array<[number, number]>} points - Points with increasing values
+     * @returns {number} Factor score
+     */
+    static interpolate(value, points) {
+        if (value <= points[0][0]) {
+            return points[0][1];
+        }
+
+        for (let i = 1; i < points.length; i++) {
+            const [x1, y1] = points[i];
+            if (value <= x1) {
+                const [x0, y0] = points[i - 1];
+                return y0 + (y1 - y0) * (value - x0) / (x1 - x0);
+            }
+        }
+
+        return points[points.length - 1][1];
+    }
+
+    /**
+     * Score a survey and explain each factor's contribution
+     * @param {Object} survey - Row with the LEAD_SCORING_COLUMNS
+     * @returns {{score: number, maxScore: number, model: string, factors: Object[]}} Score and breakdown
+     */
+    score(survey) {
+        const factors = Object.entries(this.factors).map(([name, factor]) => {
+            const value = survey[factor.source] ?? null;
+            let factorScore = null;
+            let reason;
+
+            if (factor.match) {
+                const rule = value === null ? null : factor.match.find(candidate => candidate.regex.test(String(value)));
+                if (rule) {
+                    factorScore = rule.score;
+                    reason = `matched "${rule.pattern}"`;
+                }
+            } else {
+                const amount = LeadScorer.parseAmount(value);
+                if (amount !== null) {
+                    factorScore = LeadScorer.interpolate(amount, factor.range);
+                    reason = `read as ${Math.round(amount * 100) / 100}`;
+                }
+            }
+
+            if (factorScore === null) {
+                factorScore = factor.default ?? 0;
+                reason = value === null ? 'no answer' : 'no rule matched';
+            }
+
+            return {
+                name,
+                source: factor.source,
+                value,
+                reason,
+                factorScore: Math.round(factorScore * 1000) / 1000,
+                weight: factor.weight,
+                points: Math.round(factorScore * factor.weight * 100) / 100
+            };
+        });
+
+        return {
+            score: Math.round(factors.reduce((sum, factor) => sum + factor.points, 0) * 100) / 100,
+            maxScore: this.maxScore,
+            model: this.model,
+            factors
+        };
+    }
+
+    /**
+     * Score the surveys in this shard that are unscored, scored by an older
+     * model or scored more than rescoreAfterHours ago
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @returns {Promise<number>} Number of surveys scored
+     */
+    async scorePending(shardIndex, totalShards) {
+        const surveys = await this.dbClient.getSurveysPendingScoring(
+            shardIndex,
+            totalShards,
+            this.model,
+            this.rescoreAfterHours,
+            this.batchSize
+        );
+
+        for (const survey of surveys) {
+            const { score } = this.score(survey);
+            await this.dbClient.savePriorityScore(survey.survey_id, score, this.model);
+        }
+
+        if (surveys.length > 0) {
+            logger.info({ scored: surveys.length, model: this.model, shardIndex, totalShards }, 'Scored survey priorities');
+        }
+
+        return surveys.length;
+    }
+
+    /**
+     * Explain a survey's priority under the current model
+     * @param {number} surveyId - Survey response ID
+     * @returns {Promise<Object|null>} Breakdown and the stored score, or null if the survey doesn't exist
+     */
+    async explain(surveyId) {
+        const survey = await this.dbClient.getSurveyForScoring(surveyId);
+
+        if (!survey) {
+            return null;
+        }
+
+        return {
+            surveyId: survey.survey_id,
+            ...this.score(survey),
+            stored: {
+                score: survey.priority_score === null ? null : Number(survey.priority_score),
+                model: survey.priority_model,
+                scoredAt: survey.priority_scored_at
+            }
+        };
+    }
+}
+
+module.exports = LeadScorer;
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LeadScorer = require('./leadScorer');
+
+jest.mock('./logger');
+
+/**
+ * Write a model to a temporary file and load it
+ * @param {Object} model - Model file content
+ * @returns {LeadScorer} Scorer for the model
+ */
+function scorerFor(model) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lead-scoring-'));
+    const filePath = path.join(dir, 'model.json');
+    fs.writeFileSync(filePath, JSON.stringify(model));
+
+    try {
+        return new LeadScorer(null, filePath);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+describe('LeadScorer.parseAmount', () => {
+    test('passes numbers through', () => {
+        expect(LeadScorer.parseAmount(42)).toBe(42);
+    });
+
+    test('reads k, M and B suffixes in either case', () => {
+        expect(LeadScorer.parseAmount('$5k')).toBe(5000);
+        expect(LeadScorer.parseAmount('1.5M')).toBe(1500000);
+        expect(LeadScorer.parseAmount('2b')).toBe(2000000000);
+    });
+
+    test('ignores thousands separators', () => {
+        expect(LeadScorer.parseAmount('$250,000')).toBe(250000);
+    });
+
+    test('gives the midpoint of a range', () => {
+        expect(LeadScorer.parseAmount('$1M-$5M')).toBe(3000000);
+        expect(LeadScorer.parseAmount('11-50')).toBe(30.5);
+        expect(LeadScorer.parseAmount('$100K-$250K')).toBe(175000);
+        expect(LeadScorer.parseAmount('20-30 hours')).toBe(25);
+    });
+
+    test('reads an open-ended answer as its lower bound', () => {
+        expect(LeadScorer.parseAmount('50+')).toBe(50);
+    });
+
+    test('does not read a suffix out of a following word', () => {
+        expect(LeadScorer.parseAmount('5 more')).toBe(5);
+        expect(LeadScorer.parseAmount('10 hours')).toBe(10);
+    });
+
+    test('returns null when there is no number', () => {
+        expect(LeadScorer.parseAmount('Not sure')).toBeNull();
+        expect(LeadScorer.parseAmount('')).toBeNull();
+        expect(LeadScorer.parseAmount(null)).toBeNull();
+        expect(LeadScorer.parseAmount(undefined)).toBeNull();
+    });
+});
+
+describe('LeadScorer.interpolate', () => {
+    const points = [[0, 0], [10, 0.5], [20, 1]];
+
+    test('clamps below the first point and above the last', () => {
+        expect(LeadScorer.interpolate(-5, points)).toBe(0);
+        expect(LeadScorer.interpolate(100, points)).toBe(1);
+    });
+
+    test('returns the score at a point', () => {
+        expect(LeadScorer.interpolate(10, points)).toBe(0.5);
+    });
+
+    test('interpolates linearly between points', () => {
+        expect(LeadScorer.interpolate(5, points)).toBe(0.25);
+        expect(LeadScorer.interpolate(15, points)).toBe(0.75);
+    });
+
+    test('handles decreasing scores', () => {
+        expect(LeadScorer.interpolate(3.5, [[0, 1], [7, 0.6], [30, 0]])).toBeCloseTo(0.8);
+    });
+});
+
+describe('LeadScorer model validation', () => {
+    test('loads the bundled model', () => {
+        expect(() => new LeadScorer(null)).not.toThrow();
+    });
+
+    test('requires a factors object', () => {
+        expect(() => scorerFor({ factors: [] })).toThrow('must contain a "factors" object');
+    });
+
+    test('reports every problem in the model', () => {
+        let message;
+        try {
+            scorerFor({
+                factors: {
+                    unknown: { source: 'nope', weight: 1, match: [{ pattern: 'x', score: 1 }] },
+                    negative: { source: 'revenue', weight: -1, range: [[0, 0], [1, 1]] },
+                    both: { source: 'revenue', weight: 1, match: [], range: [[0, 0], [1, 1]] },
+                    pattern: { source: 'business_type', weight: 1, match: [{ pattern: '(', score: 0.5 }] },
+                    score: { source: 'business_type', weight: 1, match: [{ pattern: 'x', score: 2 }] },
+                    order: { source: 'revenue', weight: 1, range: [[10, 0], [5, 1]] },
+                    single: { source: 'revenue', weight: 1, range: [[0, 0]] },
+                    fallback: { source: 'revenue', weight: 1, range: [[0, 0], [1, 1]], default: 1.5 }
+                }
+            });
+        } catch (error) {
+            message = error.message;
+        }
+
+        expect(message).toContain('unknown: unknown column "nope"');
+        expect(message).toContain('negative: "weight" must be a non-negative number');
+        expect(message).toContain('both: exactly one of "match" or "range" is required');
+        expect(message).toContain('pattern: invalid pattern "("');
+        expect(message).toContain('score: rule "x" needs a score between 0 and 1');
+        expect(message).toContain('order: "range" must be at least two [value, score] points with increasing values');
+        expect(message).toContain('single: "range" must be at least two [value, score] points with increasing values');
+        expect(message).toContain('fallback: "default" must be between 0 and 1');
+    });
+});
+
+describe('LeadScorer.score', () => {
+    const scorer = scorerFor({
+        factors: {
+            frustration: {
+                source: 'operational_frustration',
+                weight: 30,
+                match: [
+                    { pattern: 'extremely', score: 1 },
+                    { pattern: 'frustrated', score: 0.5 }
+                ]
+            },
+            revenue: {
+                source: 'revenue',
+                weight: 20,
+                range: [[0, 0], [1000000, 1]],
+                default: 0.25
+            }
+        }
+    });
+
+    test('uses the first matching rule and the range', () => {
+        const result = scorer.score({ operational_frustration: 'Extremely frustrated', revenue: '$250K-$750K' });
+
+        expect(result.maxScore).toBe(50);
+        expect(result.factors.map(factor => factor.points)).toEqual([30, 10]);
+        expect(result.score).toBe(40);
+    });
+
+    test('falls back to the default, or 0 without one', () => {
+        const result = scorer.score({ operational_frustration: 'Calm', revenue: null });
+
+        expect(result.factors[0]).toMatchObject({ factorScore: 0, reason: 'no rule matched' });
+        expect(result.factors[1]).toMatchObject({ factorScore: 0.25, reason: 'no answer' });
+        expect(result.score).toBe(5);
+    });
+
+    test('changes the model hash when the model changes', () => {
+        const other = scorerFor({
+            factors: { revenue: { source: 'revenue', weight: 10, range: [[0, 0], [1, 1]] } }
+        });
+
+        expect(other.model).not.toBe(scorer.model);
+    });
+});
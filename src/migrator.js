@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// 001_survey_tables.sql -> version 1, name survey_tables
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.sql$/;
+
+// pg_advisory_lock key shared by every pod; any constant works as long as it never changes
+const MIGRATION_LOCK_KEY = 724310071;
+
+// Columns the service reads or writes. A schema missing any of them is incompatible.
+const REQUIRED_COLUMNS = {
+    customers: [
+        'id', 'name', 'email', 'phone_number', 'phone_number_validated', 'time_zone',
+        'phone_number_raw', 'phone_number_checked', 'phone_line_type', 'phone_country', 'phone_region',
+        'phone_validated_at'
+    ],
+    survey_responses: [
+        'id', 'customer_id', 'business_type', 'employee_count', 'revenue', 'operational_frustration',
+        'time_consuming_tasks', 'inefficiencies', 'automation_area', 'one_task_to_automate', 'hours_to_save',
+        'growth_obstacle', 'important_outcome', 'created_at', 'processed', 'sent_to_odoo', 'call_status',
+        'disconnection_reason', 'call_summary', 'call_transcript', 'attempt_count', 'next_attempt_at',
+        'unreachable', 'updated_at', 'follow_up_email_status', 'follow_up_email_template',
+        'follow_up_email_message_id', 'follow_up_email_attempts', 'follow_up_email_error',
+        'follow_up_email_attempted_at', 'follow_up_email_sent_at', 'priority_score', 'priority_model',
+        'priority_scored_at', 'claimed_by', 'claimed_until', 'odoo_claimed_by', 'odoo_claimed_until',
+        'call_error_code', 'call_error', 'call_error_count', 'call_failed_at', 'call_dead_lettered_at',
+        'odoo_error_code', 'odoo_error', 'odoo_error_count', 'odoo_failed_at', 'odoo_next_attempt_at',
+        'odoo_dead_lettered_at'
+    ],
+    call_attempts: [
+        'id', 'survey_id', 'call_id', 'pod_name', 'agent_variant', 'agent_id', 'from_number', 'campaign',
+        'duration_ms', 'cost_cents', 'billed_seconds', 'status', 'outcome', 'started_at', 'ended_at',
+        'call_summary', 'user_sentiment', 'call_successful', 'in_voicemail', 'interested', 'meeting_requested',
+        'budget_confirmed', 'custom_analysis', 'analyzed_at', 'transcript', 'transcript_utterances',
+        'transcript_search', 'recording_key', 'recording_archived_at', 'recording_archive_attempts',
+        'recording_archive_error'
+    ],
+    rate_limit_buckets: ['name', 'tokens', 'updated_at'],
+    do_not_call: ['id', 'phone_number', 'customer_id', 'reason', 'source', 'call_id', 'created_at'],
+    scheduled_callbacks: [
+        'id', 'survey_id', 'requested_call_id', 'due_at', 'time_zone', 'requested_text', 'previous_summary',
+        'status', 'attempt_count', 'call_id', 'created_at', 'updated_at'
+    ],
+    sms_messages: [
+        'id', 'survey_id', 'customer_id', 'direction', 'phone_number', 'body', 'provider', 'provider_message_id',
+        'status', 'intent', 'error', 'created_at', 'sent_at'
+    ]
+};
+
+// Unique indexes that ON CONFLICT clauses and the one-call-per-survey guarantee depend on
+const REQUIRED_UNIQUE_INDEXES = [
+    'call_attempts_in_flight_idx',
+    'do_not_call_phone_idx',
+    'do_not_call_customer_idx',
+    'scheduled_callbacks_pending_idx',
+    'sms_messages_outbound_idx'
+];
+
+class Migrator {
+    /**
+     * @param {Pool} pool - pg connection pool
+     * @param {string} [migrationsDir] - Directory of versioned .sql files
+     */
+    constructor(pool, migrationsDir = process.env.MIGRATIONS_DIR || DEFAULT_MIGRATIONS_DIR) {
+        this.pool = pool;
+        this.migrationsDir = migrationsDir;
+        // How long a pod waits for another pod to finish migrating
+        this.lockTimeoutMs = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_MS, 10) || 300000;
+        // Index builds on large tables can outlast the pool's 30s statement timeout
+        this.statementTimeoutMs = parseInt(process.env.MIGRATION_STATEMENT_TIMEOUT_MS, 10) || 1800000;
+    }
+
+    /**
+     * Read the migration files, ordered by version
+     * @returns {Array<{version: number, name: string, sql: string, checksum: string}>} Migrations
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.migrationsDir)
+            .filter(file => file.endsWith('.sql'))
+            .map(file => {
+                const match = file.match(MIGRATION_FILE);
+                if (!match) {
+                    throw new Error(`Invalid migration file name "${file}" - expected <version>_<name>.sql`);
+                }
+
+                const sql = fs.readFileSync(path.join(this.migrationsDir, file), 'utf8');
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    sql,
+                    checksum: crypto.createHash('sha256').update(sql).digest('hex')
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version ${migrations[i].version}`);
+            }
+        }
+
+        return migrations;
+    }
+
+    /**
+     * Apply pending migrations. Runs under an advisory lock so only one pod
+     * migrates; the others wait and then find nothing left to do.
+     * @returns {Promise<number[]>} Versions applied by this pod
+     */
+    async migrate() {
+        const migrations = this.loadMigrations();
+        const client = await this.pool.connect();
+        let locked = false;
+
+        try {
+            locked = await this.acquireLock(client);
+
+            await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          checksum CHAR(64) NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+
+            const result = await client.query('SELECT version, name, checksum FROM schema_migrations');
+            const applied = new Map(result.rows.map(row => [row.version, row]));
+
+            // An applied migration must never change; fix forward with a new file instead
+            for (const migration of migrations) {
+                const row = applied.get(migration.version);
+                if (row && row.checksum !== migration.checksum) {
+                    throw new Error(`Migration ${migration.version}_${migration.name} was modified after it was applied`);
+                }
+            }
+
+            const pending = migrations.filter(migration => !applied.has(migration.version));
+            const appliedNow = [];
+
+            for (const migration of pending) {
+                const start = Date.now();
+
+                try {
+                    await client.query('BEGIN');
+                    await client.query(`SET LOCAL statement_timeout = ${this.statementTimeoutMs}`);
+                    await client.query({ text: migration.sql, query_timeout: this.statementTimeoutMs + 5000 });
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                        [migration.version, migration.name, migration.checksum]
+                    );
+                    await client.query('COMMIT');
+                } catch (error) {
+                    await client.query('ROLLBACK');
+                    throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+                }
+
+                appliedNow.push(migration.version);
+                logger.info({
+                    version: migration.version,
+                    name: migration.name,
+                    durationMs: Date.now() - start
+                }, 'Applied database migration');
+            }
+
+            logger.info({
+                applied: appliedNow,
+                latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : null
+            }, appliedNow.length > 0 ? 'Database migrations complete' : 'Database schema is up to date');
+
+            return appliedNow;
+
+        } catch (error) {
+            logger.error({ err: error }, 'Database migration failed');
+            throw error;
+        } finally {
+            if (locked) {
+                await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+            }
+            client.release();
+        }
+    }
+
+    /**
+     * Wait for the migration lock, polling so the wait is bounded
+     * @param {PoolClient} client - Connection that will hold the lock
+     * @returns {Promise<boolean>} True once the lock is held
+     * @throws {Error} If another pod holds the lock for longer than lockTimeoutMs
+     */
+    async acquireLock(client) {
+        const deadline = Date.now() + this.lockTimeoutMs;
+        let logged = false;
+
+        for (;;) {
+            const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [MIGRATION_LOCK_KEY]);
+            if (result.rows[0].locked) {
+                return true;
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out after ${this.lockTimeoutMs}ms waiting for another pod to finish migrating`);
+            }
+
+            if (!logged) {
+                logger.info('Another pod is migrating the database - waiting');
+                logged = true;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    /**
+     * Refuse to start against a schema the service can't work with, i.e. one
+     * missing columns or unique indexes it relies on
+     * @throws {Error} Listing every problem found
+     */
+    async verifySchema() {
+        const problems = [];
+        const migrations = this.loadMigrations();
+
+        try {
+            const columns = await this.pool.query(`
+        SELECT table_name, column_name
+        FROM information_schema.columns
+        WHERE table_schema = current_schema()
+          AND table_name = ANY($1::text[])
+      `, [Object.keys(REQUIRED_COLUMNS)]);
+
+            const existing = new Set(columns.rows.map(row => `${row.table_name}.${row.column_name}`));
+            for (const [table, tableColumns] of Object.entries(REQUIRED_COLUMNS)) {
+                const missing = tableColumns.filter(column => !existing.has(`${table}.${column}`));
+                if (missing.length === tableColumns.length) {
+                    problems.push(`table ${table} is missing`);
+                } else if (missing.length > 0) {
+                    problems.push(`${table} is missing columns ${missing.join(', ')}`);
+                }
+            }
+
+            const indexes = await this.pool.query(`
+        SELECT c.relname AS index_name
+        FROM pg_index i
+        JOIN pg_class c
+          ON c.oid = i.indexrelid
+        WHERE i.indisunique
+          AND c.relnamespace = current_schema()::regnamespace
+          AND c.relname = ANY($1::text[])
+      `, [REQUIRED_UNIQUE_INDEXES]);
+
+            const existingIndexes = new Set(indexes.rows.map(row => row.index_name));
+            const missingIndexes = REQUIRED_UNIQUE_INDEXES.filter(index => !existingIndexes.has(index));
+            if (missingIndexes.length > 0) {
+                problems.push(`missing unique indexes ${missingIndexes.join(', ')}`);
+            }
+
+            const versions = await this.pool.query(`
+        SELECT version
+        FROM schema_migrations
+      `).catch(() => ({ rows: [] }));
+
+            // Columns and unique indexes decide compatibility; unapplied migrations are worth a warning
+            const applied = new Set(versions.rows.map(row => row.version));
+            const pending = migrations.filter(migration => !applied.has(migration.version));
+            if (pending.length > 0) {
+                logger.warn({
+                    pending: pending.map(migration => `${migration.version}_${migration.name}`)
+                }, 'Database migrations have not been applied');
+            }
+
+        } catch (error) {
+            logger.error({ err: error }, 'Failed to inspect database schema');
+            throw error;
+        }
+
+        if (problems.length > 0) {
+            throw new Error(`Incompatible database schema:\n  ${problems.join('\n  ')}`);
+        }
+
+        logger.info({ tables: Object.keys(REQUIRED_COLUMNS).length }, 'Database schema is compatible');
+    }
+}
+
+module.exports = Migrator;
@@ -128,6 +128,46 @@ class OdooService {
         });
     }
 
+    /**
+     * Render the structured call analysis as description lines
+     * @param {Object} [analysis] - Typed call analysis
+     * @returns {string} Analysis section, or an empty string if there is none
+     */
+    static describeAnalysis(analysis) {
+        if (!analysis) {
+            return '';
+        }
+
+        const flag = value => (value === true ? 'yes' : (value === false ? 'no' : 'unknown'));
+        const lines = [
+            `sentiment: ${analysis.sentiment || 'unknown'}`,
+            `interested: ${flag(analysis.interested)}`,
+            `meeting_requested: ${flag(analysis.meetingRequested)}`,
+            `budget_confirmed: ${flag(analysis.budgetConfirmed)}`,
+            `call_successful: ${flag(analysis.callSuccessful)}`
+        ];
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Map the call analysis onto Odoo's 0-3 star lead priority
+     * @param {Object} [analysis] - Typed call analysis
+     * @returns {string} crm.lead priority
+     */
+    static leadPriority(analysis) {
+        if (analysis?.meetingRequested) {
+            return '3';
+        }
+        if (analysis?.interested && analysis?.budgetConfirmed) {
+            return '2';
+        }
+        if (analysis?.interested) {
+            return '1';
+        }
+        return '0';
+    }
+
     /**
      * Create a new lead in Odoo CRM
      */
@@ -143,7 +183,10 @@ class OdooService {
                 partner_name: leadData.customerName,
                 phone: leadData.phone,
                 email_from: leadData.email,
-                description: `${leadData.summary || ''}\n\nsurvey_id: ${leadData.surveyId}`,
+                description: [leadData.summary || '', OdooService.describeAnalysis(leadData.analysis), `survey_id: ${leadData.surveyId}`]
+                    .filter(Boolean)
+                    .join('\n\n'),
+                priority: OdooService.leadPriority(leadData.analysis),
                 source_id: 2, // Default source, adjust as needed
                 campaign_id: 1,  // Default campaign, adjust as needed
                 user_id: 1,   // Default user, adjust as needed
@@ -0,0 +1,108 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js/max');
+const { geocoder } = require('libphonenumber-geo-carrier');
+const logger = require('./logger');
+
+// libphonenumber number types -> line types we store
+const LINE_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    // Most North American numbers can't be told apart offline
+    FIXED_LINE_OR_MOBILE: 'mobile_or_landline',
+    VOIP: 'voip',
+    TOLL_FREE: 'toll_free',
+    PREMIUM_RATE: 'premium_rate',
+    SHARED_COST: 'shared_cost',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail'
+};
+
+// Valid numbers we still never dial
+const UNCALLABLE_LINE_TYPES = ['premium_rate', 'shared_cost', 'pager', 'voicemail'];
+
+class PhoneValidator {
+    constructor(dbClient) {
+        this.dbClient = dbClient;
+
+        // Country assumed for numbers entered without a country code
+        this.defaultCountry = (process.env.PHONE_DEFAULT_COUNTRY || 'CA').toUpperCase();
+        this.batchSize = parseInt(process.env.PHONE_VALIDATION_BATCH_SIZE, 10) || 100;
+
+        if (!/^[A-Z]{2}$/.test(this.defaultCountry)) {
+            throw new Error(`Invalid PHONE_DEFAULT_COUNTRY "${this.defaultCountry}" - expected an ISO 3166-1 alpha-2 code`);
+        }
+
+        logger.info({
+            defaultCountry: this.defaultCountry,
+            batchSize: this.batchSize
+        }, 'Phone validation configured');
+    }
+
+    /**
+     * Normalize and classify a phone number using offline numbering-plan metadata
+     * @param {string} phoneNumber - Phone number as entered by the customer
+     * @returns {Promise<Object>} e164, lineType, country, region and whether the number may be called
+     */
+    async classify(phoneNumber) {
+        const parsed = phoneNumber ? parsePhoneNumberFromString(String(phoneNumber), this.defaultCountry) : undefined;
+
+        if (!parsed || !parsed.isValid()) {
+            return { e164: null, lineType: 'invalid', country: null, region: null, callable: false };
+        }
+
+        const lineType = LINE_TYPES[parsed.getType()] || 'unknown';
+        let region = null;
+
+        try {
+            region = await geocoder(parsed, 'en');
+        } catch (error) {
+            logger.debug({ err: error }, 'No region found for phone number');
+        }
+
+        return {
+            e164: parsed.number,
+            lineType,
+            country: parsed.country || null,
+            region: region || null,
+            callable: !UNCALLABLE_LINE_TYPES.includes(lineType)
+        };
+    }
+
+    /**
+     * Validate the customers in this shard whose phone number is new or has changed
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @returns {Promise<{checked: number, callable: number, uncallable: number}>} Batch statistics
+     */
+    async validatePending(shardIndex, totalShards) {
+        const stats = { checked: 0, callable: 0, uncallable: 0 };
+
+        const customers = await this.dbClient.getCustomersPendingPhoneValidation(shardIndex, totalShards, this.batchSize);
+
+        for (const customer of customers) {
+            const result = await this.classify(customer.phone_number);
+            const updated = await this.dbClient.savePhoneValidation(customer.id, customer.phone_number, result);
+
+            if (!updated) {
+                // The number changed while we were looking at it; the next run picks it up
+                continue;
+            }
+
+            stats.checked++;
+            if (result.callable) {
+                stats.callable++;
+            } else {
+                stats.uncallable++;
+            }
+        }
+
+        if (customers.length > 0) {
+            logger.info({ ...stats, shardIndex, totalShards }, 'Phone validation batch finished');
+        }
+
+        return stats;
+    }
+}
+
+module.exports = PhoneValidator;
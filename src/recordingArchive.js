@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const logger = require('./logger');
+
+class RecordingArchive {
+    /**
+     * @param {DatabaseClient} dbClient - Database client
+     * @param {RetellClient} retellClient - Retell client, used to fetch fresh recording URLs
+     */
+    constructor(dbClient, retellClient) {
+        this.dbClient = dbClient;
+        this.retellClient = retellClient;
+
+        this.bucket = process.env.RECORDING_BUCKET;
+        this.keyPrefix = (process.env.RECORDING_KEY_PREFIX || 'recordings').replace(/\/+$/, '');
+        this.linkSecret = process.env.RECORDING_LINK_SECRET;
+        this.linkTtlSeconds = parseInt(process.env.RECORDING_LINK_TTL_SECONDS, 10) || 900;
+        this.batchSize = parseInt(process.env.RECORDING_ARCHIVE_BATCH_SIZE, 10) || 10;
+        this.maxAttempts = parseInt(process.env.RECORDING_ARCHIVE_MAX_ATTEMPTS, 10) || 5;
+        this.maxRecordingBytes = parseInt(process.env.RECORDING_MAX_BYTES, 10) || 200 * 1024 * 1024;
+
+        const missing = [
+            ['RECORDING_BUCKET', this.bucket],
+            ['RECORDING_LINK_SECRET', this.linkSecret]
+        ].filter(([, value]) => !value).map(([name]) => name);
+
+        if (missing.length > 0) {
+            throw new Error(`Missing required recording archive environment variables: ${missing.join(', ')}`);
+        }
+
+        // S3_ENDPOINT points at MinIO or another S3-compatible store; without it AWS S3 is used
+        this.s3 = new S3Client({
+            region: process.env.S3_REGION || 'us-east-1',
+            endpoint: process.env.S3_ENDPOINT || undefined,
+            forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+                ? process.env.S3_FORCE_PATH_STYLE === 'true'
+                : !!process.env.S3_ENDPOINT,
+            credentials: process.env.S3_ACCESS_KEY_ID ? {
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+            } : undefined
+        });
+
+        logger.info({
+            bucket: this.bucket,
+            endpoint: process.env.S3_ENDPOINT || 'aws',
+            keyPrefix: this.keyPrefix
+        }, 'Recording archive configured');
+    }
+
+    /**
+     * Object key for a call's recording: <prefix>/survey-<id>/<call_id>.<ext>
+     * @param {number} surveyId - Survey ID
+     * @param {string} callId - Retell call ID
+     * @param {string} recordingUrl - Source URL, used for the file extension
+     * @returns {string} Object key
+     */
+    objectKey(surveyId, callId, recordingUrl) {
+        let extension = '';
+        try {
+            extension = path.extname(new URL(recordingUrl).pathname).toLowerCase();
+        } catch (error) {
+            // Fall through to the default
+        }
+
+        if (!/^\.[a-z0-9]{1,5}$/.test(extension)) {
+            extension = '.wav';
+        }
+
+        return `${this.keyPrefix}/survey-${surveyId}/${callId}${extension}`;
+    }
+
+    /**
+     * Archive the recordings of completed calls in this shard that are not archived yet
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @returns {Promise<{archived: number, failed: number}>} Batch statistics
+     */
+    async archivePending(shardIndex, totalShards) {
+        const stats = { archived: 0, failed: 0 };
+
+        const calls = await this.dbClient.getCallsPendingRecordingArchive(
+            shardIndex,
+            totalShards,
+            this.maxAttempts,
+            this.batchSize
+        );
+
+        for (const attempt of calls) {
+            try {
+                await this.archiveRecording(attempt);
+                stats.archived++;
+            } catch (error) {
+                stats.failed++;
+                logger.warn({
+                    err: error,
+                    callId: attempt.call_id,
+                    surveyId: attempt.survey_id,
+                    attempts: attempt.recording_archive_attempts + 1
+                }, 'Failed to archive call recording');
+                await this.dbClient.markRecordingArchiveFailed(attempt.id, error.message);
+            }
+        }
+
+        if (calls.length > 0) {
+            logger.info({ ...stats, shardIndex, totalShards }, 'Recording archive batch finished');
+        }
+
+        return stats;
+    }
+
+    /**
+     * Copy one call's recording from Retell into the bucket
+     * @param {Object} attempt - Call attempt row
+     * @returns {Promise<string>} Object key
+     */
+    async archiveRecording(attempt) {
+        // Retell's recording URLs expire, so always fetch a fresh one
+        const call = await this.retellClient.getCallStatus(attempt.call_id);
+
+        if (!call.recording_url) {
+            throw new Error('Retell has no recording for this call');
+        }
+
+        const response = await axios.get(call.recording_url, {
+            responseType: 'arraybuffer',
+            timeout: 120000,
+            maxContentLength: this.maxRecordingBytes
+        });
+
+        const key = this.objectKey(attempt.survey_id, attempt.call_id, call.recording_url);
+
+        await this.s3.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: key,
+            Body: Buffer.from(response.data),
+            ContentType: response.headers['content-type'] || 'audio/wav',
+            Metadata: {
+                survey_id: String(attempt.survey_id),
+                call_id: attempt.call_id
+            }
+        }));
+
+        await this.dbClient.markRecordingArchived(attempt.id, key);
+
+        logger.info({
+            callId: attempt.call_id,
+            surveyId: attempt.survey_id,
+            key,
+            bytes: response.data.byteLength
+        }, 'Archived call recording');
+
+        return key;
+    }
+
+    /**
+     * Signature over a call ID and expiry time
+     * @param {string} callId - Retell call ID
+     * @param {number} expires - Expiry as a Unix timestamp in seconds
+     * @returns {string} Hex HMAC
+     */
+    sign(callId, expires) {
+        return crypto.createHmac('sha256', this.linkSecret)
+            .update(`${callId}:${expires}`)
+            .digest('hex');
+    }
+
+    /**
+     * Build a time-limited download link for a call's recording
+     * @param {string} callId - Retell call ID
+     * @param {string} baseUrl - Public base URL of this service
+     * @returns {{url: string, expiresAt: string}} Signed link
+     */
+    createDownloadLink(callId, baseUrl) {
+        const expires = Math.floor(Date.now() / 1000) + this.linkTtlSeconds;
+        const query = new URLSearchParams({ expires: String(expires), signature: this.sign(callId, expires) });
+
+        return {
+            url: `${baseUrl.replace(/\/+$/, '')}/recordings/${encodeURIComponent(callId)}?${query}`,
+            expiresAt: new Date(expires * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Check a download link's signature and expiry
+     * @param {string} callId - Retell call ID
+     * @param {string} expires - expires query parameter
+     * @param {string} signature - signature query parameter
+     * @returns {boolean} True if the link is genuine and not expired
+     */
+    verifyDownloadLink(callId, expires, signature) {
+        const expiresAt = parseInt(expires, 10);
+
+        if (!Number.isInteger(expiresAt) || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+            return false;
+        }
+
+        // Hex only, so the buffers below are the same length and timingSafeEqual can't throw
+        if (!/^[0-9a-f]{64}$/.test(signature)) {
+            return false;
+        }
+
+        const expected = this.sign(callId, expiresAt);
+        return crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    }
+
+    /**
+     * Open an archived recording for streaming
+     * @param {string} key - Object key
+     * @returns {Promise<{body: ReadableStream, contentType: string, contentLength: number}>} Object stream
+     */
+    async openRecording(key) {
+        const object = await this.s3.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+
+        return {
+            body: object.Body,
+            contentType: object.ContentType || 'audio/wav',
+            contentLength: object.ContentLength
+        };
+    }
+}
+
+module.exports = RecordingArchive;
@@ -1,18 +1,55 @@
 const { Retell } = require('retell-sdk');
 const logger = require('./logger');
+const RetryPolicy = require('./retryPolicy');
+const DynamicVariableMapper = require('./dynamicVariables');
+const AgentVariants = require('./agentVariants');
+const FromNumberPool = require('./fromNumberPool');
+const CallAnalysisParser = require('./callAnalysis');
+const SpendBudget = require('./spendBudget');
+const DatabaseClient = require('./db');
+
+// Retell call statuses after which nothing more will happen on the call
+const FINISHED_STATUSES = ['ended', 'not_connected', 'error'];
+
+// Longest Retry-After we are willing to sleep through inside a processing cycle
+const MAX_RETRY_AFTER_MS = 60000;
 
 class RetellClient {
-    constructor() {
-        this.client = new Retell({
+    /**
+     * @param {DatabaseClient} dbClient - Database client
+     * @param {Object} [client] - Retell API client; defaults to the real SDK (see RetellSimulator)
+     */
+    constructor(dbClient, client) {
+        this.dbClient = dbClient;
+        this.podName = process.env.POD_NAME;
+
+        this.client = client || new Retell({
             apiKey: process.env.RETELL_API_KEY,
         });
 
-        this.fromNumber = process.env.RETELL_FROM_NUMBER || '+17787691188';
-        this.agentId = process.env.RETELL_AGENT_ID || 'agent_826371748c85ca36277cae28c2';
-
-        // Store active calls for correlation with webhooks
+        this.retryPolicy = new RetryPolicy();
+        // Fails startup if the mapping references columns the queue query doesn't select
+        this.variableMapper = new DynamicVariableMapper(DatabaseClient.SURVEY_QUEUE_COLUMNS);
+
+        this.fromNumberPool = new FromNumberPool(dbClient);
+
+        // Shared by every pod through the database
+        this.callLimits = {
+            maxConcurrent: parseInt(process.env.MAX_CONCURRENT_CALLS, 10) || 10,
+            burst: parseInt(process.env.CALL_RATE_BURST, 10) || 5,
+            ratePerSecond: (parseInt(process.env.CALL_RATE_PER_MINUTE, 10) || 20) / 60
+        };
+        this.agentVariants = new AgentVariants();
+        this.spendBudget = new SpendBudget(dbClient);
+        // Campaign the cost of calls placed by this deployment is attributed to
+        this.campaign = process.env.CALL_CAMPAIGN || 'default';
+        this.analysisParser = new CallAnalysisParser();
+        // Zone for callback times when the call didn't carry the customer's
+        this.defaultTimeZone = process.env.DEFAULT_CUSTOMER_TIME_ZONE || 'America/Vancouver';
+
+        // Local view of calls placed by this pod; the call_attempts table is authoritative
         this.activeCalls = new Map();
-        // Track surveys being processed to prevent duplicates
+        // Track surveys being processed by this pod
         this.activeSurveys = new Map(); // surveyId -> { createdAt, customerName, phoneNumber }
     }
 
@@ -38,51 +75,96 @@ class RetellClient {
             const existingCall = this.activeSurveys.get(surveyId);
             logger.warn({
                 surveyId,
-                // existingCallId: existingCall.callId,
+                existingCallId: existingCall.callId,
                 customerName: surveyData.customer_name
             }, 'Survey is already being processed - skipping duplicate call creation');
 
             throw new Error(`Survey ${surveyId} is already being processed`);
         }
 
+        if (await this.dbClient.isOnDoNotCallList(surveyData.customer_id, surveyData.client_phone_number)) {
+            logger.warn({
+                surveyId,
+                customerId: surveyData.customer_id
+            }, 'Customer is on the do-not-call list - refusing to create call');
+
+            throw new Error(`Survey ${surveyId} customer is on the do-not-call list`);
+        }
+
+        await this.spendBudget.check();
+
+        const variant = this.agentVariants.assign(surveyId);
+        const fromNumber = await this.fromNumberPool.select(surveyData.client_phone_number);
+
+        // Record the attempt before dialing so other pods (and restarts) see it in flight
+        const { attemptId, reason } = await this.dbClient.createCallAttempt(
+            surveyId,
+            this.podName,
+            variant,
+            fromNumber,
+            this.campaign,
+            this.callLimits,
+            { hourly: this.fromNumberPool.hourlyCap, daily: this.fromNumberPool.dailyCap }
+        );
+
+        if (reason === 'in_flight') {
+            logger.warn({
+                surveyId,
+                customerName: surveyData.customer_name
+            }, 'Survey already has a call in flight - skipping duplicate call creation');
+
+            throw new Error(`Survey ${surveyId} is already being processed`);
+        }
+
+        if (reason === 'caller_id_cap') {
+            throw new Error(`Caller ID ${fromNumber} has reached its call caps`);
+        }
+
+        if (reason) {
+            throw new Error(`Outbound call limit reached (${reason})`);
+        }
+
         try {
             const callPayload = {
-                from_number: this.fromNumber,
+                from_number: fromNumber,
                 to_number: surveyData.client_phone_number,
-                retell_llm_dynamic_variables: {
-                    name: surveyData.customer_name,
-                    phone_number: surveyData.client_phone_number,
-                    email: surveyData.client_email,
-                    service: surveyData.business_type,
-                    budget: surveyData.revenue,
-                    frustration: surveyData.operational_frustration,
-                    inefficiencies: surveyData.inefficiencies,
-                    priority_automation: surveyData.one_task_to_automate,
-                    important_outcome: surveyData.important_outcome,
-                    survey_date: surveyData.survey_date
-                },
+                retell_llm_dynamic_variables: this.variableMapper.build(surveyData),
                 metadata: {
-                    survey_id: surveyId.toString()
+                    survey_id: surveyId.toString(),
+                    agent_variant: variant.name,
+                    campaign: this.campaign,
+                    customer_time_zone: surveyData.customer_time_zone || this.defaultTimeZone,
+                    ...(surveyData.callback_id ? { callback_id: surveyData.callback_id.toString() } : {})
                 },
-                override_agent_id: this.agentId
+                override_agent_id: variant.agentId
             };
 
             logger.info({
                 surveyId,
+                fromNumber,
                 toNumber: surveyData.client_phone_number,
                 customerName: surveyData.customer_name
             }, 'Creating Retell phone call');
 
+            const phoneCallResponse = await this.client.call.createPhoneCall(callPayload);
+
+            // The call is live at this point - a ledger failure must not make the survey look idle
+            await this.dbClient.markCallAttemptDialed(attemptId, phoneCallResponse.call_id)
+                .catch(() => {}); // already logged by the database client; attempt stays 'dialing'
+
+            if (surveyData.callback_id) {
+                await this.dbClient.markCallbackPlaced(surveyData.callback_id, phoneCallResponse.call_id)
+                    .catch(() => {}); // already logged by the database client
+            }
+
             // Track survey as being processed
             this.activeSurveys.set(surveyId, {
-                // callId: phoneCallResponse.call_id,
+                callId: phoneCallResponse.call_id,
                 createdAt: new Date(),
                 customerName: surveyData.customer_name,
                 phoneNumber: surveyData.client_phone_number
             });
 
-            const phoneCallResponse = await this.client.call.createPhoneCall(callPayload);
-
             // Store call correlation for webhook processing
             this.activeCalls.set(phoneCallResponse.call_id, {
                 surveyId,
@@ -93,8 +175,10 @@ class RetellClient {
 
             logger.info({
                 surveyId,
-                // callId: phoneCallResponse.call_id,
+                callId: phoneCallResponse.call_id,
+                attemptId,
                 agentId: phoneCallResponse.agent_id,
+                agentVariant: variant.name,
                 metadata: phoneCallResponse.metadata
             }, 'Retell phone call created successfully');
 
@@ -104,82 +188,248 @@ class RetellClient {
             logger.error({
                 err: error,
                 surveyId,
+                attemptId,
                 toNumber: surveyData.client_phone_number
             }, 'Failed to create Retell phone call');
+
+            await this.dbClient.markCallAttemptFailed(attemptId, error.status ? `http_${error.status}` : 'create_failed')
+                .catch(() => {}); // already logged by the database client
+
             throw error;
         }
     }
 
     /**
-     * Handle webhook from Retell when call ends
+     * Verify the x-retell-signature header of a webhook request
+     * @param {string} rawBody - Raw request body as received
+     * @param {string} signature - Value of the x-retell-signature header
+     * @returns {boolean} True if the payload was signed with our API key
+     */
+    verifyWebhookSignature(rawBody, signature) {
+        if (!rawBody || !signature) {
+            return false;
+        }
+
+        try {
+            return Retell.verify(rawBody, process.env.RETELL_API_KEY, signature);
+        } catch (error) {
+            logger.warn({ err: error }, 'Failed to verify Retell webhook signature');
+            return false;
+        }
+    }
+
+    /**
+     * Handle webhook from Retell for call lifecycle events
      * @param {Object} webhookPayload - Webhook payload from Retell
      * @returns {Promise<Object>} Processing result
      */
-    // async handleWebhook(webhookPayload) {
-    //     try {
-    //         const { event, call } = webhookPayload;
-
-    //         logger.info({
-    //             event,
-    //             callId: call.call_id,
-    //             callStatus: call.call_status,
-    //             surveyId: call.metadata?.survey_id
-    //         }, 'Received Retell webhook');
-
-    //         if (event === 'call_ended') {
-    //             const surveyId = call.metadata?.survey_id;
-
-    //             if (!surveyId) {
-    //                 logger.warn({ callId: call.call_id }, 'Webhook missing survey_id in metadata');
-    //                 return { success: false, reason: 'Missing survey_id' };
-    //             }
-
-    //             const surveyIdInt = parseInt(surveyId, 10);
-
-    //             // Remove from active calls tracking
-    //             const callInfo = this.activeCalls.get(call.call_id);
-    //             if (callInfo) {
-    //                 this.activeCalls.delete(call.call_id);
-
-    //                 const duration = new Date() - callInfo.createdAt;
-    //                 logger.info({
-    //                     surveyId: surveyIdInt,
-    //                     callId: call.call_id,
-    //                     duration,
-    //                     disconnectionReason: call.disconnection_reason,
-    //                     customerName: callInfo.customerName
-    //                 }, 'Call completed, ready to mark as processed');
-    //             }
-
-    //             // Remove from active surveys tracking
-    //             if (this.activeSurveys.has(surveyIdInt)) {
-    //                 this.activeSurveys.delete(surveyIdInt);
-    //                 logger.debug({
-    //                     surveyId: surveyIdInt,
-    //                     callId: call.call_id
-    //                 }, 'Removed survey from active processing list');
-    //             }
-
-    //             return {
-    //                 success: true,
-    //                 surveyId: surveyIdInt,
-    //                 callId: call.call_id,
-    //                 callStatus: call.call_status,
-    //                 disconnectionReason: call.disconnection_reason,
-    //                 transcript: call.transcript
-    //             };
-    //         }
-
-    //         // Handle other events if needed (call_analyzed, etc.)
-    //         logger.debug({ event, callId: call.call_id }, 'Received non-call_ended webhook event');
-
-    //         return { success: true, event, processed: false };
-
-    //     } catch (error) {
-    //         logger.error({ err: error, webhookPayload }, 'Failed to handle Retell webhook');
-    //         throw error;
-    //     }
-    // }
+    async handleWebhook(webhookPayload) {
+        try {
+            const { event, call } = webhookPayload;
+
+            if (!call || !call.call_id) {
+                logger.warn({ event }, 'Webhook missing call object');
+                return { success: false, reason: 'Missing call' };
+            }
+
+            logger.info({
+                event,
+                callId: call.call_id,
+                callStatus: call.call_status,
+                surveyId: call.metadata?.survey_id
+            }, 'Received Retell webhook');
+
+            return await this.applyCallEvent(event, call);
+
+        } catch (error) {
+            logger.error({ err: error, event: webhookPayload?.event }, 'Failed to handle Retell webhook');
+            throw error;
+        }
+    }
+
+    /**
+     * Apply a call lifecycle event to local tracking and the database.
+     * Shared by the webhook handler and call reconciliation so both paths
+     * record the same outcome.
+     * @param {string} event - call_started, call_ended or call_analyzed
+     * @param {Object} call - Retell call object
+     * @returns {Promise<Object>} Processing result
+     */
+    async applyCallEvent(event, call) {
+        const surveyId = parseInt(call.metadata?.survey_id, 10);
+
+        if (!Number.isInteger(surveyId)) {
+            logger.warn({ event, callId: call.call_id }, 'Call missing survey_id in metadata');
+            return { success: false, reason: 'Missing survey_id' };
+        }
+
+        if (event === 'call_started') {
+            logger.info({ surveyId, callId: call.call_id }, 'Call started');
+            return { success: true, event, surveyId, callId: call.call_id };
+        }
+
+        // Both call_ended and call_analyzed carry the transcript; archiving is idempotent
+        if (call.transcript && ['call_ended', 'call_analyzed'].includes(event)) {
+            await this.dbClient.saveCallTranscript(call.call_id, {
+                transcript: call.transcript,
+                utterances: RetellClient.toUtterances(call.transcript_object)
+            });
+        }
+
+        // Retell may fill in call_cost only once the call has been analyzed
+        if (typeof call.call_cost?.combined_cost === 'number' && ['call_ended', 'call_analyzed'].includes(event)) {
+            await this.dbClient.saveCallCost(call.call_id, {
+                costCents: call.call_cost.combined_cost,
+                billedSeconds: call.call_cost.total_duration_seconds
+            });
+        }
+
+        if (event === 'call_ended') {
+            this.releaseCall(call.call_id, surveyId, call.disconnection_reason);
+
+            const outcome = this.retryPolicy.classify(call.disconnection_reason);
+
+            const callbackId = parseInt(call.metadata?.callback_id, 10);
+            if (Number.isInteger(callbackId)) {
+                await this.settleCallback(callbackId, outcome);
+            }
+
+            const result = {
+                callId: call.call_id,
+                callStatus: call.call_status,
+                disconnectionReason: call.disconnection_reason,
+                transcript: call.transcript,
+                durationMs: call.duration_ms,
+                outcome
+            };
+
+            if (outcome === RetryPolicy.OUTCOMES.COMPLETED) {
+                await this.dbClient.markCallEnded(surveyId, result);
+                return { success: true, event, surveyId, callId: call.call_id, outcome };
+            }
+
+            // The customer was not reached - schedule another attempt or give up
+            const attemptCount = await this.dbClient.getPlacedCallCount(surveyId);
+            const { unreachable, nextAttemptAt } = this.retryPolicy.schedule(outcome, attemptCount);
+
+            await this.dbClient.markCallUnsuccessful(surveyId, {
+                ...result,
+                attemptCount,
+                nextAttemptAt,
+                unreachable
+            });
+
+            return { success: true, event, surveyId, callId: call.call_id, outcome, unreachable, nextAttemptAt };
+        }
+
+        if (event === 'call_analyzed') {
+            this.releaseCall(call.call_id, surveyId, call.disconnection_reason);
+
+            const analysis = this.analysisParser.parse(call.call_analysis);
+
+            await this.dbClient.saveCallAnalysis(surveyId, {
+                ...analysis,
+                callId: call.call_id,
+                transcript: call.transcript,
+                completed: this.retryPolicy.classify(call.disconnection_reason) === RetryPolicy.OUTCOMES.COMPLETED
+            });
+
+            const optedOut = analysis.optOut;
+            if (optedOut) {
+                await this.dbClient.optOutSurveyCustomer(surveyId, call.call_id);
+            }
+
+            let callbackAt = null;
+            if (analysis.callback.requested && !optedOut) {
+                const { dueAt, timeZone, exact } = this.analysisParser.resolveCallbackTime(
+                    analysis.callback,
+                    call.metadata?.customer_time_zone || this.defaultTimeZone
+                );
+
+                await this.dbClient.scheduleCallback(surveyId, {
+                    callId: call.call_id,
+                    dueAt,
+                    timeZone,
+                    requestedText: exact ? analysis.callback.time : null,
+                    previousSummary: analysis.summary
+                });
+                callbackAt = dueAt;
+            }
+
+            return { success: true, event, surveyId, callId: call.call_id, optedOut, callbackAt };
+        }
+
+        logger.debug({ event, callId: call.call_id }, 'Ignoring unsupported call event');
+
+        return { success: true, event, surveyId, callId: call.call_id, processed: false };
+    }
+
+    /**
+     * Settle a scheduled callback whose follow-up call has ended: done if the
+     * customer was reached, otherwise retried on the usual schedule
+     * @param {number} callbackId - Callback ID from call metadata
+     * @param {string} outcome - Call outcome (RetryPolicy.OUTCOMES)
+     */
+    async settleCallback(callbackId, outcome) {
+        if (outcome === RetryPolicy.OUTCOMES.COMPLETED) {
+            await this.dbClient.finishCallback(callbackId, { completed: true });
+            return;
+        }
+
+        const attemptCount = await this.dbClient.getCallbackAttemptCount(callbackId);
+        const { nextAttemptAt } = this.retryPolicy.schedule(outcome, attemptCount);
+
+        await this.dbClient.finishCallback(callbackId, { completed: false, retryAt: nextAttemptAt });
+    }
+
+    /**
+     * Reduce Retell's transcript_object to speaker turns with timestamps
+     * @param {Array<Object>} [transcriptObject] - Utterances with word-level timings
+     * @returns {Array<{speaker: string, text: string, start: number|null, end: number|null}>} Utterances, times in seconds from call start
+     */
+    static toUtterances(transcriptObject) {
+        if (!Array.isArray(transcriptObject)) {
+            return [];
+        }
+
+        return transcriptObject
+            .filter(utterance => utterance && utterance.content)
+            .map((utterance) => {
+                const words = Array.isArray(utterance.words) ? utterance.words : [];
+                return {
+                    speaker: utterance.role,
+                    text: utterance.content,
+                    start: words.length > 0 ? words[0].start ?? null : null,
+                    end: words.length > 0 ? words[words.length - 1].end ?? null : null
+                };
+            });
+    }
+
+    /**
+     * Remove a finished call and its survey from active tracking
+     * @param {string} callId - Retell call ID
+     * @param {number} surveyId - Survey ID from call metadata
+     * @param {string} [disconnectionReason] - Retell disconnection reason
+     */
+    releaseCall(callId, surveyId, disconnectionReason) {
+        const callInfo = this.activeCalls.get(callId);
+        if (callInfo) {
+            this.activeCalls.delete(callId);
+
+            logger.info({
+                surveyId,
+                callId,
+                duration: new Date() - callInfo.createdAt,
+                disconnectionReason,
+                customerName: callInfo.customerName
+            }, 'Call completed');
+        }
+
+        if (this.activeSurveys.has(surveyId)) {
+            this.activeSurveys.delete(surveyId);
+            logger.debug({ surveyId, callId }, 'Removed survey from active processing list');
+        }
+    }
 
     /**
      * Get call status from Retell API (for polling fallback if needed)
@@ -204,6 +454,88 @@ class RetellClient {
         }
     }
 
+    /**
+     * Reconcile in-flight call attempts whose webhooks never arrived by asking
+     * Retell for the real call state and applying the same completion handling
+     * the webhook would.
+     * @param {number} staleAfterMs - Age after which an in-flight attempt is reconciled
+     * @param {number} maxCallAgeMs - Age after which a call still reported as live is given up on
+     * @returns {Promise<Object>} Counts of reconciled, requeued and still-live calls
+     */
+    async reconcileStaleCalls(staleAfterMs, maxCallAgeMs) {
+        const attempts = await this.dbClient.getStaleCallAttempts(staleAfterMs);
+        const stats = { checked: attempts.length, completed: 0, requeued: 0, live: 0, failed: 0 };
+
+        for (const attempt of attempts) {
+            const age = Date.now() - new Date(attempt.started_at).getTime();
+
+            try {
+                if (!attempt.call_id) {
+                    // The pod died between recording the attempt and getting a call ID back
+                    await this.dbClient.expireCallAttempt(attempt.id, 'call_id_unknown');
+                    stats.requeued++;
+                    continue;
+                }
+
+                const call = await this.getCallStatus(attempt.call_id);
+
+                if (FINISHED_STATUSES.includes(call.call_status)) {
+                    const result = await this.applyCallEvent('call_ended', call);
+
+                    if (call.call_analysis) {
+                        await this.applyCallEvent('call_analyzed', call);
+                    }
+
+                    if (result.outcome === RetryPolicy.OUTCOMES.COMPLETED) {
+                        stats.completed++;
+                    } else {
+                        stats.requeued++;
+                    }
+
+                    logger.info({
+                        attemptId: attempt.id,
+                        surveyId: attempt.survey_id,
+                        callId: attempt.call_id,
+                        callStatus: call.call_status,
+                        disconnectionReason: call.disconnection_reason
+                    }, 'Reconciled call with missed webhook');
+                    continue;
+                }
+
+                if (age > maxCallAgeMs) {
+                    await this.dbClient.expireCallAttempt(attempt.id, `stuck_${call.call_status}`);
+                    stats.requeued++;
+
+                    logger.warn({
+                        attemptId: attempt.id,
+                        surveyId: attempt.survey_id,
+                        callId: attempt.call_id,
+                        callStatus: call.call_status,
+                        age
+                    }, 'Call still reported as live past maximum age - expiring attempt');
+                    continue;
+                }
+
+                stats.live++;
+
+            } catch (error) {
+                stats.failed++;
+                logger.error({
+                    err: error,
+                    attemptId: attempt.id,
+                    surveyId: attempt.survey_id,
+                    callId: attempt.call_id
+                }, 'Failed to reconcile call attempt');
+            }
+        }
+
+        if (stats.checked > 0) {
+            logger.info(stats, 'Call reconciliation completed');
+        }
+
+        return stats;
+    }
+
     /**
      * Cleanup old active calls and surveys (in case webhooks are missed)
      * @param {number} maxAgeMs - Maximum age in milliseconds
@@ -236,7 +568,7 @@ class RetellClient {
                 callId,
                 surveyId: callInfo.surveyId,
                 age: now - callInfo.createdAt
-            }, 'Cleaned up old active call (possible missed webhook)');
+            }, 'Dropped old call from local tracking (reconciliation owns the outcome)');
         }
 
         // Remove old surveys
@@ -248,7 +580,7 @@ class RetellClient {
                 surveyId,
                 callId: surveyInfo.callId,
                 age: now - surveyInfo.createdAt
-            }, 'Cleaned up old active survey (possible missed webhook) - will allow retry');
+            }, 'Dropped old survey from local tracking');
         }
 
         if (callsToRemove.length > 0 || surveysToRemove.length > 0) {
@@ -283,6 +615,25 @@ class RetellClient {
         return Array.from(this.activeSurveys.keys());
     }
 
+    /**
+     * Parse a Retry-After header (delta-seconds or HTTP date) from a Retell API error
+     * @param {Object} [headers] - Response headers attached to the error
+     * @returns {number|null} Delay in milliseconds, or null if absent or unparseable
+     */
+    static parseRetryAfter(headers) {
+        const value = headers?.['retry-after'];
+        if (!value) {
+            return null;
+        }
+
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+
     /**
      * Retry mechanism with exponential backoff for Retell API calls
      * @param {Function} operation - The operation to retry
@@ -304,8 +655,14 @@ class RetellClient {
                     throw error;
                 }
 
-                // Don't retry if survey is already being processed
-                if (error.message && error.message.includes('already being processed')) {
+                // Don't retry if survey is already being processed, must not be called or a limit is hit
+                if (error.message && (
+                    error.message.includes('already being processed') ||
+                    error.message.includes('do-not-call') ||
+                    error.message.includes('call caps') ||
+                    error.message.includes('call limit reached') ||
+                    error.message.includes('Spend budget exceeded')
+                )) {
                     throw error;
                 }
 
@@ -313,12 +670,22 @@ class RetellClient {
                     break;
                 }
 
-                const delay = baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000; // Add jitter
+                // Retell is rate limiting us - wait as long as it asks, within reason
+                const retryAfterMs = error.status === 429 ? RetellClient.parseRetryAfter(error.headers) : null;
+                if (error.status === 429 && retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) {
+                    logger.warn({ retryAfterMs }, 'Retell asked for a longer back-off than we wait in-process - giving up');
+                    throw error;
+                }
+
+                const delay = retryAfterMs !== null
+                    ? retryAfterMs
+                    : baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000; // Add jitter
                 logger.warn({
                     err: error,
                     attempt,
                     maxRetries,
-                    delayMs: delay
+                    delayMs: delay,
+                    rateLimited: error.status === 429
                 }, 'Retell API operation failed, retrying');
 
                 await new Promise(resolve => setTimeout(resolve, delay));
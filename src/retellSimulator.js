@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Retell } = require('retell-sdk');
+const logger = require('./logger');
+
+// How each simulated scenario plays out
+const SCENARIOS = {
+    answered: { connects: true, callStatus: 'ended', disconnectionReason: 'user_hangup' },
+    voicemail: { connects: true, callStatus: 'ended', disconnectionReason: 'voicemail_reached' },
+    no_answer: { connects: false, callStatus: 'not_connected', disconnectionReason: 'dial_no_answer' },
+    busy: { connects: false, callStatus: 'not_connected', disconnectionReason: 'dial_busy' }
+};
+
+/**
+ * Stand-in for the Retell SDK client used when RETELL_MODE=simulate. It
+ * exposes the same call.createPhoneCall / call.retrieve surface RetellClient
+ * uses, never dials anyone, and plays each call out on timers, delivering
+ * signed webhooks to our own /retell/webhook endpoint so the whole pipeline
+ * runs exactly as it would against Retell.
+ */
+class RetellSimulator {
+    constructor() {
+        this.calls = new Map();
+
+        this.scenarioWeights = RetellSimulator.parseWeights(
+            process.env.SIMULATOR_OUTCOMES || 'answered:60,voicemail:20,no_answer:15,busy:5'
+        );
+        this.ringMs = parseInt(process.env.SIMULATOR_RING_MS, 10) || 3000;
+        this.talkMs = parseInt(process.env.SIMULATOR_TALK_MS, 10) || 20000;
+        this.analysisDelayMs = parseInt(process.env.SIMULATOR_ANALYSIS_DELAY_MS, 10) || 5000;
+        // Share of webhooks silently dropped, to exercise call reconciliation
+        this.webhookLossRate = parseFloat(process.env.SIMULATOR_WEBHOOK_LOSS_RATE) || 0;
+        this.webhookUrl = process.env.SIMULATOR_WEBHOOK_URL ||
+            `http://localhost:${process.env.PORT || 3000}/retell/webhook`;
+
+        this.call = {
+            createPhoneCall: this.createPhoneCall.bind(this),
+            retrieve: this.retrieve.bind(this)
+        };
+
+        logger.warn({
+            scenarios: this.scenarioWeights,
+            webhookUrl: this.webhookUrl
+        }, 'Retell simulator enabled - no real calls will be placed');
+    }
+
+    /**
+     * Parse "scenario:weight,..." into weights
+     * @param {string} value - Scenario weights
+     * @returns {Array<{scenario: string, weight: number}>} Weighted scenarios
+     */
+    static parseWeights(value) {
+        const weights = value.split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map((part) => {
+                const [scenario, weight] = part.split(':');
+                if (!SCENARIOS[scenario] || !/^\d+$/.test(weight || '')) {
+                    throw new Error(`Invalid simulator outcome "${part}" - expected one of ${Object.keys(SCENARIOS).join(', ')} with a weight`);
+                }
+                return { scenario, weight: parseInt(weight, 10) };
+            });
+
+        if (!weights.some(entry => entry.weight > 0)) {
+            throw new Error('SIMULATOR_OUTCOMES needs at least one scenario with a positive weight');
+        }
+
+        return weights;
+    }
+
+    /**
+     * Pick a scenario at random according to the configured weights
+     * @returns {string} Scenario name
+     */
+    pickScenario() {
+        const total = this.scenarioWeights.reduce((sum, entry) => sum + entry.weight, 0);
+        let roll = Math.random() * total;
+
+        for (const entry of this.scenarioWeights) {
+            if (roll < entry.weight) {
+                return entry.scenario;
+            }
+            roll -= entry.weight;
+        }
+
+        return this.scenarioWeights[this.scenarioWeights.length - 1].scenario;
+    }
+
+    /**
+     * Simulated POST /v2/create-phone-call
+     * @param {Object} payload - Call creation payload
+     * @returns {Promise<Object>} Registered call object
+     */
+    async createPhoneCall(payload) {
+        const call = {
+            call_type: 'phone_call',
+            call_id: `sim_${crypto.randomBytes(12).toString('hex')}`,
+            agent_id: payload.override_agent_id,
+            call_status: 'registered',
+            direction: 'outbound',
+            from_number: payload.from_number,
+            to_number: payload.to_number,
+            metadata: payload.metadata,
+            retell_llm_dynamic_variables: payload.retell_llm_dynamic_variables
+        };
+
+        this.calls.set(call.call_id, call);
+        this.play(call.call_id, this.pickScenario());
+
+        return { ...call };
+    }
+
+    /**
+     * Simulated GET /v2/get-call/{call_id}
+     * @param {string} callId - Call ID
+     * @returns {Promise<Object>} Current call object
+     */
+    async retrieve(callId) {
+        const call = this.calls.get(callId);
+
+        if (!call) {
+            const error = new Error(`Call ${callId} not found`);
+            error.status = 404;
+            throw error;
+        }
+
+        return { ...call };
+    }
+
+    /**
+     * Play a call through its lifecycle on timers
+     * @param {string} callId - Call ID
+     * @param {string} scenario - Scenario name
+     */
+    play(callId, scenario) {
+        const { connects, callStatus, disconnectionReason } = SCENARIOS[scenario];
+        const call = this.calls.get(callId);
+        const talkMs = disconnectionReason === 'voicemail_reached' ? Math.min(this.talkMs, 8000) : this.talkMs;
+
+        logger.info({ callId, scenario }, 'Simulating call');
+
+        this.after(this.ringMs, async () => {
+            if (!connects) {
+                Object.assign(call, { call_status: callStatus, disconnection_reason: disconnectionReason });
+                await this.deliver('call_ended', call);
+                this.after(this.analysisDelayMs, () => this.analyze(call, scenario));
+                return;
+            }
+
+            Object.assign(call, { call_status: 'ongoing', start_timestamp: Date.now() });
+            await this.deliver('call_started', call);
+
+            this.after(talkMs, async () => {
+                Object.assign(call, {
+                    call_status: callStatus,
+                    disconnection_reason: disconnectionReason,
+                    end_timestamp: Date.now(),
+                    duration_ms: talkMs,
+                    ...RetellSimulator.transcriptFor(call, scenario, talkMs),
+                    recording_url: `https://simulator.invalid/recordings/${call.call_id}.wav`,
+                    call_cost: { combined_cost: Math.round(talkMs / 60000 * 7 * 100) / 100, total_duration_seconds: talkMs / 1000 }
+                });
+                await this.deliver('call_ended', call);
+
+                this.after(this.analysisDelayMs, () => this.analyze(call, scenario));
+            });
+        });
+    }
+
+    /**
+     * Attach post-call analysis and send call_analyzed
+     */
+    async analyze(call, scenario) {
+        const name = call.retell_llm_dynamic_variables?.name || 'the customer';
+
+        call.call_analysis = {
+            call_summary: {
+                answered: `Simulated call with ${name}. The customer discussed their survey answers and agreed to a follow-up meeting.`,
+                voicemail: `Simulated call reached ${name}'s voicemail; a short message was left.`,
+                no_answer: 'The call was not answered.',
+                busy: 'The line was busy.'
+            }[scenario],
+            user_sentiment: scenario === 'answered' ? 'Positive' : 'Unknown',
+            call_successful: scenario === 'answered',
+            in_voicemail: scenario === 'voicemail',
+            custom_analysis_data: scenario === 'answered'
+                ? { interested: true, meeting_requested: true, budget_confirmed: false }
+                : {}
+        };
+
+        await this.deliver('call_analyzed', call);
+    }
+
+    /**
+     * Build a short synthetic transcript for a connected call
+     */
+    static transcriptFor(call, scenario, talkMs) {
+        const name = call.retell_llm_dynamic_variables?.name || 'there';
+        const lines = scenario === 'voicemail'
+            ? [['agent', `Hi ${name}, this is Ardent following up on your survey. We'll try you again soon.`]]
+            : [
+                ['agent', `Hi ${name}, this is Ardent following up on the survey you filled in. Do you have a minute?`],
+                ['user', 'Sure, go ahead.'],
+                ['agent', 'You mentioned some tasks take up a lot of your week. Would a short call with our team help?'],
+                ['user', 'Yes, that would be great.']
+            ];
+
+        const step = talkMs / 1000 / lines.length;
+        const transcriptObject = lines.map(([role, content], index) => ({
+            role,
+            content,
+            words: [{ word: content, start: index * step, end: (index + 1) * step }]
+        }));
+
+        return {
+            transcript: lines.map(([role, content]) => `${role === 'agent' ? 'Agent' : 'User'}: ${content}`).join('\n'),
+            transcript_object: transcriptObject
+        };
+    }
+
+    /**
+     * Send a signed webhook to the service, unless it is randomly dropped
+     */
+    async deliver(event, call) {
+        if (Math.random() < this.webhookLossRate) {
+            logger.info({ event, callId: call.call_id }, 'Simulator dropped webhook');
+            return;
+        }
+
+        const body = JSON.stringify({ event, call });
+
+        try {
+            await axios.post(this.webhookUrl, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-retell-signature': Retell.sign(body, process.env.RETELL_API_KEY)
+                },
+                timeout: 10000
+            });
+        } catch (error) {
+            logger.warn({ err: error, event, callId: call.call_id }, 'Simulator failed to deliver webhook');
+        }
+    }
+
+    /**
+     * Run a callback after a delay without keeping the process alive
+     */
+    after(delayMs, callback) {
+        setTimeout(() => {
+            Promise.resolve(callback()).catch((error) => {
+                logger.error({ err: error }, 'Simulator step failed');
+            });
+        }, delayMs).unref();
+    }
+}
+
+module.exports = RetellSimulator;
@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+/**
+ * SMS adapter that starts a Retell SMS chat. The rendered message is passed
+ * to the SMS agent as the sms_message dynamic variable; the agent's opening
+ * message should be {{sms_message}}. Replies go to the Retell agent.
+ */
+class RetellSmsAdapter {
+    constructor() {
+        this.name = 'retell';
+        this.agentId = process.env.RETELL_SMS_AGENT_ID;
+
+        if (!this.agentId) {
+            throw new Error('RETELL_SMS_AGENT_ID is required for the retell SMS provider');
+        }
+
+        // retell-sdk has no SMS endpoints yet, so call the REST API directly
+        this.http = axios.create({
+            baseURL: process.env.RETELL_API_URL || 'https://api.retellai.com',
+            timeout: 15000,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${process.env.RETELL_API_KEY}`
+            }
+        });
+    }
+
+    /**
+     * Send a text message as the first message of a Retell SMS chat
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164
+     * @param {string} message.from - Retell SMS-enabled number in E.164
+     * @param {string} message.body - Message text
+     * @param {Object} [message.metadata] - Stored on the chat
+     * @returns {Promise<{messageId: string}>} Retell chat ID
+     */
+    async send({ to, from, body, metadata }) {
+        const response = await this.http.post('/create-sms-chat', {
+            from_number: from,
+            to_number: to,
+            override_agent_id: this.agentId,
+            retell_llm_dynamic_variables: { sms_message: body },
+            metadata
+        });
+
+        return { messageId: response.data.chat_id };
+    }
+}
+
+module.exports = RetellSmsAdapter;
@@ -0,0 +1,99 @@
+const logger = require('./logger');
+
+// Call outcomes derived from Retell's disconnection_reason
+const OUTCOMES = {
+    COMPLETED: 'completed',
+    VOICEMAIL: 'voicemail',
+    NO_ANSWER: 'no_answer',
+    BUSY: 'busy',
+    INVALID_NUMBER: 'invalid_number',
+    ERROR: 'error'
+};
+
+const DISCONNECTION_OUTCOMES = {
+    user_hangup: OUTCOMES.COMPLETED,
+    agent_hangup: OUTCOMES.COMPLETED,
+    call_transfer: OUTCOMES.COMPLETED,
+    inactivity: OUTCOMES.COMPLETED,
+    max_duration_reached: OUTCOMES.COMPLETED,
+    voicemail_reached: OUTCOMES.VOICEMAIL,
+    dial_no_answer: OUTCOMES.NO_ANSWER,
+    user_declined: OUTCOMES.NO_ANSWER,
+    dial_busy: OUTCOMES.BUSY,
+    invalid_destination: OUTCOMES.INVALID_NUMBER
+};
+
+// Outcomes that end retries immediately, regardless of attempts left
+const TERMINAL_OUTCOMES = [OUTCOMES.INVALID_NUMBER];
+
+const DURATION_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+class RetryPolicy {
+    constructor() {
+        this.maxAttempts = parseInt(process.env.MAX_CALL_ATTEMPTS, 10) || 3;
+        this.retryDelaysMs = RetryPolicy.parseDelays(process.env.CALL_RETRY_DELAYS || '4h,1d');
+
+        logger.info({
+            maxAttempts: this.maxAttempts,
+            retryDelaysMs: this.retryDelaysMs
+        }, 'Call retry policy configured');
+    }
+
+    /**
+     * Parse a comma-separated list of durations such as "4h,1d,90m"
+     * @param {string} value - Duration list
+     * @returns {number[]} Delays in milliseconds
+     */
+    static parseDelays(value) {
+        const delays = value.split(',')
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map((part) => {
+                const match = part.match(/^(\d+)([mhd])$/);
+                if (!match) {
+                    throw new Error(`Invalid retry delay "${part}" - expected e.g. 90m, 4h or 1d`);
+                }
+                return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+            });
+
+        if (delays.length === 0) {
+            throw new Error('CALL_RETRY_DELAYS must contain at least one delay');
+        }
+
+        return delays;
+    }
+
+    /**
+     * Classify a finished call from its Retell disconnection reason
+     * @param {string} [disconnectionReason] - Retell disconnection reason
+     * @returns {string} One of OUTCOMES
+     */
+    classify(disconnectionReason) {
+        return DISCONNECTION_OUTCOMES[disconnectionReason] || OUTCOMES.ERROR;
+    }
+
+    /**
+     * Decide what happens to a survey after an unsuccessful call
+     * @param {string} outcome - Outcome of the call that just ended
+     * @param {number} attemptCount - Calls placed for the survey so far, including this one
+     * @returns {{unreachable: boolean, nextAttemptAt: Date|null}} Retry decision
+     */
+    schedule(outcome, attemptCount) {
+        if (TERMINAL_OUTCOMES.includes(outcome) || attemptCount >= this.maxAttempts) {
+            return { unreachable: true, nextAttemptAt: null };
+        }
+
+        const delayIndex = Math.min(attemptCount - 1, this.retryDelaysMs.length - 1);
+        const nextAttemptAt = new Date(Date.now() + this.retryDelaysMs[Math.max(delayIndex, 0)]);
+
+        return { unreachable: false, nextAttemptAt };
+    }
+}
+
+RetryPolicy.OUTCOMES = OUTCOMES;
+
+module.exports = RetryPolicy;
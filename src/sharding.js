@@ -18,6 +18,10 @@ class ShardingManager {
         this.podNamespace = process.env.POD_NAMESPACE || 'default';
         this.daemonSetName = process.env.DAEMONSET_NAME || 'retell-caller';
 
+        // Fixed shard assignment for running outside Kubernetes (e.g. local simulation)
+        this.staticShardTotal = parseInt(process.env.SHARD_TOTAL, 10) || null;
+        this.staticShardIndex = parseInt(process.env.SHARD_INDEX, 10) || 1;
+
         // Cache shard info to avoid frequent API calls
         this.shardInfo = null;
         this.lastShardUpdate = null;
@@ -31,6 +35,12 @@ class ShardingManager {
     async getShardInfo() {
         const now = Date.now();
 
+        if (this.staticShardTotal) {
+            this.shardInfo = { shardIndex: this.staticShardIndex, totalShards: this.staticShardTotal };
+            this.lastShardUpdate = now;
+            return this.shardInfo;
+        }
+
         // Return cached info if still valid
         if (this.shardInfo && this.lastShardUpdate && (now - this.lastShardUpdate) < this.shardCacheTtl) {
             return this.shardInfo;
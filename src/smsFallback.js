@@ -0,0 +1,179 @@
+const logger = require('./logger');
+const DatabaseClient = require('./db');
+const DynamicVariableMapper = require('./dynamicVariables');
+const RetellSmsAdapter = require('./retellSmsAdapter');
+const HttpSmsAdapter = require('./httpSmsAdapter');
+const StubSmsAdapter = require('./stubSmsAdapter');
+
+const ADAPTERS = {
+    retell: RetellSmsAdapter,
+    http: HttpSmsAdapter,
+    stub: StubSmsAdapter
+};
+
+const DEFAULT_TEMPLATE = 'Hi {{customer_name}}, this is Ardent. We tried to call you about the survey you filled in on ' +
+    '{{survey_date|date}}. Reply CALL and we\'ll ring you right back, or STOP to opt out.';
+
+// Carrier-standard opt-out keywords, matched against the whole reply
+const STOP_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit'];
+
+class SmsFallback {
+    constructor(dbClient) {
+        this.dbClient = dbClient;
+
+        const provider = process.env.SMS_PROVIDER;
+        if (!ADAPTERS[provider]) {
+            throw new Error(`Invalid SMS_PROVIDER "${provider}" - expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+        }
+        this.adapter = new ADAPTERS[provider]();
+
+        this.template = process.env.SMS_TEMPLATE || DEFAULT_TEMPLATE;
+        const problems = DynamicVariableMapper.validateTemplate(this.template, DatabaseClient.SURVEY_QUEUE_COLUMNS);
+        if (problems.length > 0) {
+            throw new Error(`Invalid SMS_TEMPLATE: ${problems.join(', ')}`);
+        }
+
+        const callerIds = process.env.RETELL_FROM_NUMBERS || process.env.RETELL_FROM_NUMBER || '+17787691188';
+        this.fromNumber = process.env.SMS_FROM_NUMBER || callerIds.split(',')[0].trim();
+        this.batchSize = parseInt(process.env.SMS_BATCH_SIZE, 10) || 10;
+        // Surveys that gave up longer ago than this are never texted, e.g. on first rollout
+        this.maxAgeHours = parseInt(process.env.SMS_FALLBACK_MAX_AGE_HOURS, 10) || 72;
+
+        logger.info({
+            provider: this.adapter.name,
+            fromNumber: this.fromNumber,
+            maxAgeHours: this.maxAgeHours
+        }, 'SMS fallback configured');
+    }
+
+    /**
+     * Work out what an inbound reply asks for
+     * @param {string} body - Reply text
+     * @returns {string} opt_out, call_me or none
+     */
+    static classifyReply(body) {
+        const text = String(body || '').trim().toLowerCase();
+
+        if (STOP_KEYWORDS.includes(text.replace(/[^a-z]/g, ''))) {
+            return 'opt_out';
+        }
+
+        if (/\b(call|ring|phone)\b/.test(text) && !/\b(don'?t|do not|no|never|stop)\b/.test(text)) {
+            return 'call_me';
+        }
+
+        return 'none';
+    }
+
+    /**
+     * Text customers in this shard whose final call attempt failed, within calling hours
+     * @param {number} shardIndex - Current shard index (1-based)
+     * @param {number} totalShards - Total number of shards
+     * @param {Object} callingWindow - Calling window from CallingHours.getQueryWindow()
+     * @returns {Promise<{sent: number, failed: number}>} Batch statistics
+     */
+    async sendPending(shardIndex, totalShards, callingWindow) {
+        const stats = { sent: 0, failed: 0 };
+
+        for (let i = 0; i < this.batchSize; i++) {
+            const claimed = await this.dbClient.claimNextSmsFallback(
+                shardIndex,
+                totalShards,
+                callingWindow,
+                this.adapter.name,
+                this.maxAgeHours
+            );
+
+            if (!claimed) {
+                break;
+            }
+
+            const { messageId, surveyData } = claimed;
+            const body = DynamicVariableMapper.renderTemplate(this.template, surveyData);
+
+            try {
+                const result = await this.adapter.send({
+                    to: surveyData.client_phone_number,
+                    from: this.fromNumber,
+                    body,
+                    metadata: { survey_id: String(surveyData.survey_id) }
+                });
+
+                await this.dbClient.markSmsSent(messageId, { body, providerMessageId: result.messageId });
+                stats.sent++;
+
+                logger.info({
+                    surveyId: surveyData.survey_id,
+                    messageId,
+                    providerMessageId: result.messageId
+                }, 'Sent SMS follow-up after failed call attempts');
+
+            } catch (error) {
+                stats.failed++;
+                logger.error({
+                    err: error,
+                    surveyId: surveyData.survey_id,
+                    messageId
+                }, 'Failed to send SMS follow-up');
+
+                await this.dbClient.markSmsFailed(messageId, { body, error: error.message });
+            }
+        }
+
+        return stats;
+    }
+
+    /**
+     * Handle a reply to an SMS follow-up: STOP opts the customer out and a
+     * request to be called schedules an immediate callback
+     * @param {Object} reply - Inbound message
+     * @param {string} reply.from - Sender phone number
+     * @param {string} reply.body - Message text
+     * @param {string} [reply.providerMessageId] - Provider message ID
+     * @returns {Promise<{intent: string, surveyId: number|null}>} What was done
+     */
+    async handleReply({ from, body, providerMessageId }) {
+        const phoneDigits = DatabaseClient.normalizePhoneDigits(from);
+        const conversation = phoneDigits ? await this.dbClient.findSmsConversation(phoneDigits) : null;
+        const intent = SmsFallback.classifyReply(body);
+
+        await this.dbClient.recordInboundSms({
+            surveyId: conversation?.survey_id ?? null,
+            customerId: conversation?.customer_id ?? null,
+            phoneDigits,
+            body,
+            provider: this.adapter.name,
+            providerMessageId,
+            intent
+        });
+
+        if (intent === 'opt_out') {
+            await this.dbClient.addDoNotCall({
+                phoneNumber: phoneDigits,
+                customerId: conversation?.customer_id ?? null,
+                reason: 'Replied STOP to SMS follow-up',
+                source: 'sms'
+            });
+        }
+
+        if (intent === 'call_me' && conversation) {
+            await this.dbClient.scheduleCallback(conversation.survey_id, {
+                callId: null,
+                dueAt: new Date(),
+                timeZone: null,
+                requestedText: String(body).slice(0, 255),
+                previousSummary: null
+            });
+        }
+
+        logger.info({
+            surveyId: conversation?.survey_id ?? null,
+            intent,
+            matched: !!conversation
+        }, 'Handled inbound SMS reply');
+
+        return { intent, surveyId: conversation?.survey_id ?? null };
+    }
+}
+
+module.exports = SmsFallback;
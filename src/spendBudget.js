@@ -0,0 +1,101 @@
+const logger = require('./logger');
+
+class SpendBudget {
+    constructor(dbClient) {
+        this.dbClient = dbClient;
+
+        // Budgets are configured in dollars and tracked in cents, like Retell's call_cost
+        this.dailyLimitCents = SpendBudget.parseBudget('DAILY_SPEND_BUDGET', process.env.DAILY_SPEND_BUDGET);
+        this.monthlyLimitCents = SpendBudget.parseBudget('MONTHLY_SPEND_BUDGET', process.env.MONTHLY_SPEND_BUDGET);
+        // Reserved per call in flight until its cost arrives, when there are no recent costs to average
+        this.estimatedCallCents = SpendBudget.parseBudget('ESTIMATED_CALL_COST', process.env.ESTIMATED_CALL_COST || '0.50');
+        // Zone whose midnight and first of the month start a new budget period
+        this.timeZone = process.env.SPEND_BUDGET_TIME_ZONE || 'UTC';
+
+        this.paused = null;
+
+        logger.info({
+            dailyLimitCents: this.dailyLimitCents,
+            monthlyLimitCents: this.monthlyLimitCents,
+            estimatedCallCents: this.estimatedCallCents,
+            timeZone: this.timeZone
+        }, 'Spend budgets configured');
+    }
+
+    /**
+     * Parse a dollar budget; unset or 0 means no budget
+     * @param {string} name - Environment variable name, for errors
+     * @param {string} [value] - Budget in dollars
+     * @returns {number|null} Budget in cents, or null if there is none
+     */
+    static parseBudget(name, value) {
+        if (value === undefined || value === '' || value === '0') {
+            return null;
+        }
+
+        const dollars = Number(value);
+        if (!Number.isFinite(dollars) || dollars < 0) {
+            throw new Error(`Invalid ${name} "${value}" - expected an amount in dollars`);
+        }
+
+        return Math.round(dollars * 100);
+    }
+
+    /**
+     * Spend so far in the current day and month, against the budgets. Calls in flight
+     * have no cost yet, so each reserves the average cost of recent calls; without
+     * that, every pod could start calls past the budget before any cost arrives.
+     * @returns {Promise<Object>} Spend, reserved spend and limits in cents, and the exceeded period if any
+     */
+    async getStatus() {
+        const { dayCents, monthCents, dayInFlight, monthInFlight, averageCallCents } =
+            await this.dbClient.getCurrentSpend(this.timeZone);
+
+        const perCallCents = averageCallCents || this.estimatedCallCents || 0;
+        const dayReservedCents = dayInFlight * perCallCents;
+        const monthReservedCents = monthInFlight * perCallCents;
+
+        let exceeded = null;
+        if (this.dailyLimitCents !== null && dayCents + dayReservedCents >= this.dailyLimitCents) {
+            exceeded = 'daily';
+        }
+        if (this.monthlyLimitCents !== null && monthCents + monthReservedCents >= this.monthlyLimitCents) {
+            exceeded = 'monthly';
+        }
+
+        return {
+            day: { spentCents: dayCents, reservedCents: dayReservedCents, inFlight: dayInFlight, limitCents: this.dailyLimitCents },
+            month: { spentCents: monthCents, reservedCents: monthReservedCents, inFlight: monthInFlight, limitCents: this.monthlyLimitCents },
+            timeZone: this.timeZone,
+            exceeded
+        };
+    }
+
+    /**
+     * Refuse new calls once a budget is used up
+     * @throws {Error} If the daily or monthly budget is exceeded
+     */
+    async check() {
+        if (this.dailyLimitCents === null && this.monthlyLimitCents === null) {
+            return;
+        }
+
+        const status = await this.getStatus();
+
+        // Log transitions only - the check runs before every call
+        if (status.exceeded !== this.paused) {
+            if (status.exceeded) {
+                logger.warn({ ...status }, 'Spend budget exceeded - pausing new calls');
+            } else {
+                logger.info({ ...status }, 'Spend within budget - calls resumed');
+            }
+            this.paused = status.exceeded;
+        }
+
+        if (status.exceeded) {
+            throw new Error(`Spend budget exceeded (${status.exceeded})`);
+        }
+    }
+}
+
+module.exports = SpendBudget;
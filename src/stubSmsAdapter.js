@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Only the most recent messages are kept, so a long-running stub doesn't grow without bound
+const MAX_SENT_MESSAGES = 100;
+
+/**
+ * SMS adapter that sends nothing. Messages are logged and the most recent are
+ * kept in memory so local runs and tests can see what would have been sent.
+ */
+class StubSmsAdapter {
+    constructor() {
+        this.name = 'stub';
+        this.sent = [];
+    }
+
+    /**
+     * Pretend to send a text message
+     * @param {Object} message - Message to send
+     * @param {string} message.to - Recipient in E.164
+     * @param {string} message.from - Sender in E.164
+     * @param {string} message.body - Message text
+     * @returns {Promise<{messageId: string}>} Fake provider message ID
+     */
+    async send({ to, from, body }) {
+        const messageId = `stub_${crypto.randomBytes(8).toString('hex')}`;
+        this.sent.push({ messageId, to, from, body, sentAt: new Date() });
+        if (this.sent.length > MAX_SENT_MESSAGES) {
+            this.sent.splice(0, this.sent.length - MAX_SENT_MESSAGES);
+        }
+
+        logger.info({ messageId, to, from, body }, 'Stub SMS adapter - message not sent');
+
+        return { messageId };
+    }
+}
+
+module.exports = StubSmsAdapter;
@@ -0,0 +1,133 @@
+const logger = require('./logger');
+
+class WorkerPool {
+    /**
+     * @param {string} name - Pool name, for logs and metrics
+     * @param {number} concurrency - Most items worked on at once
+     * @param {number} maxPending - Most items held at once, running or waiting; callers
+     *                              stop claiming work when the pool is full
+     * @param {Function} [onTaskDone] - Called with the worker's result after each item
+     */
+    constructor(name, concurrency, maxPending, onTaskDone = null) {
+        this.name = name;
+        this.concurrency = concurrency;
+        this.maxPending = Math.max(maxPending, concurrency);
+        this.onTaskDone = onTaskDone;
+
+        this.queue = []; // { item, worker }
+        this.running = 0;
+        this.stopped = false;
+        this.idleWaiters = [];
+
+        // Counters for metrics
+        this.completed = 0;
+        this.failed = 0;
+        this.busyMs = 0;
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Items currently running or waiting for a worker
+     * @returns {number} Pending item count
+     */
+    get pending() {
+        return this.running + this.queue.length;
+    }
+
+    /**
+     * How many more items the pool will take
+     * @returns {number} Free capacity
+     */
+    get capacity() {
+        return this.stopped ? 0 : Math.max(this.maxPending - this.pending, 0);
+    }
+
+    /**
+     * Queue items to be worked on. Items over capacity are still queued; callers
+     * are expected to claim no more than capacity.
+     * @param {Array} items - Items to work on
+     * @param {Function} worker - Async function called with each item
+     */
+    push(items, worker) {
+        for (const item of items) {
+            this.queue.push({ item, worker });
+        }
+        this.next();
+    }
+
+    /**
+     * Start queued items while there are free workers
+     */
+    next() {
+        while (!this.stopped && this.running < this.concurrency && this.queue.length > 0) {
+            const { item, worker } = this.queue.shift();
+            this.run(item, worker);
+        }
+    }
+
+    /**
+     * Work on one item. Worker errors are logged, never thrown.
+     * @param {*} item - Item to work on
+     * @param {Function} worker - Async function called with the item
+     */
+    async run(item, worker) {
+        const start = Date.now();
+        let result;
+        this.running++;
+
+        try {
+            result = await worker(item);
+            this.completed++;
+        } catch (error) {
+            this.failed++;
+            logger.error({ err: error, pool: this.name }, 'Worker pool task failed');
+        } finally {
+            this.running--;
+            this.busyMs += Date.now() - start;
+            this.next();
+
+            if (this.onTaskDone) {
+                this.onTaskDone(result);
+            }
+
+            if (this.pending === 0) {
+                this.idleWaiters.splice(0).forEach(resolve => resolve());
+            }
+        }
+    }
+
+    /**
+     * Stop taking work: drop the items still waiting and wait for the running ones
+     * @returns {Promise<Array>} Items that were dropped without being worked on
+     */
+    async stop() {
+        this.stopped = true;
+        const dropped = this.queue.splice(0).map(({ item }) => item);
+
+        if (this.running > 0) {
+            await new Promise(resolve => this.idleWaiters.push(resolve));
+        }
+
+        return dropped;
+    }
+
+    /**
+     * Snapshot for the status and metrics endpoints
+     * @returns {Object} Pool statistics
+     */
+    getStats() {
+        return {
+            name: this.name,
+            concurrency: this.concurrency,
+            maxPending: this.maxPending,
+            running: this.running,
+            queued: this.queue.length,
+            utilization: this.running / this.concurrency,
+            busySeconds: this.busyMs / 1000,
+            completed: this.completed,
+            failed: this.failed
+        };
+    }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,112 @@
+const WorkerPool = require('./workerPool');
+
+jest.mock('./logger');
+
+/**
+ * A promise with the function that resolves it
+ * @returns {{promise: Promise, resolve: Function}} Deferred
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(res => {
+        resolve = res;
+    });
+    return { promise, resolve };
+}
+
+/**
+ * Let pending promise callbacks run
+ */
+function flush() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+describe('WorkerPool', () => {
+    test('holds at least one item per worker', () => {
+        const pool = new WorkerPool('test', 3, 1);
+
+        expect(pool.maxPending).toBe(3);
+        expect(pool.capacity).toBe(3);
+    });
+
+    test('runs at most concurrency items at once and queues the rest', () => {
+        const pool = new WorkerPool('test', 2, 5);
+        const tasks = [deferred(), deferred(), deferred()];
+
+        pool.push([0, 1, 2], i => tasks[i].promise);
+
+        expect(pool.running).toBe(2);
+        expect(pool.queue).toHaveLength(1);
+        expect(pool.pending).toBe(3);
+        expect(pool.capacity).toBe(2);
+    });
+
+    test('starts a queued item when a worker frees up', async () => {
+        const pool = new WorkerPool('test', 1, 3);
+        const tasks = [deferred(), deferred()];
+        const started = [];
+
+        pool.push([0, 1], i => {
+            started.push(i);
+            return tasks[i].promise;
+        });
+        expect(started).toEqual([0]);
+
+        tasks[0].resolve();
+        await flush();
+
+        expect(started).toEqual([0, 1]);
+        expect(pool.capacity).toBe(2);
+    });
+
+    test('never reports negative capacity when overfilled', () => {
+        const pool = new WorkerPool('test', 1, 2);
+
+        pool.push([0, 1, 2, 3], () => new Promise(() => {}));
+
+        expect(pool.pending).toBe(4);
+        expect(pool.capacity).toBe(0);
+    });
+
+    test('reports each result to onTaskDone and counts failures without throwing', async () => {
+        const results = [];
+        const pool = new WorkerPool('test', 2, 2, result => results.push(result));
+
+        pool.push([true, false], ok => (ok ? Promise.resolve('done') : Promise.reject(new Error('boom'))));
+        await flush();
+
+        expect(results).toHaveLength(2);
+        expect(results).toContain('done');
+        expect(pool.getStats()).toMatchObject({ completed: 1, failed: 1, running: 0, queued: 0 });
+    });
+
+    test('stop drops queued items, waits for running ones and takes no more work', async () => {
+        const pool = new WorkerPool('test', 1, 3);
+        const task = deferred();
+        let stopped = false;
+
+        pool.push(['a', 'b', 'c'], () => task.promise);
+
+        const stopping = pool.stop().then(dropped => {
+            stopped = true;
+            return dropped;
+        });
+        await flush();
+
+        expect(stopped).toBe(false);
+        expect(pool.capacity).toBe(0);
+
+        task.resolve();
+
+        expect(await stopping).toEqual(['b', 'c']);
+        expect(pool.running).toBe(0);
+    });
+
+    test('reports utilization of its workers', () => {
+        const pool = new WorkerPool('test', 4, 4);
+
+        pool.push([0], () => new Promise(() => {}));
+
+        expect(pool.getStats()).toMatchObject({ name: 'test', running: 1, utilization: 0.25 });
+    });
+});